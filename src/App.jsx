@@ -1,7 +1,8 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import Layout from './components/Layout/Layout';
-import { executeCode } from './engine/executor';
+import { executeCode, MAX_INTERVAL_FIRINGS, FRAME_INTERVAL, MAX_ANIMATION_FRAMES } from './engine/executor';
 import examples from './examples/index';
+import { parseEventScript } from './utils/eventScript';
 import { useTheme } from './hooks/useTheme';
 
 const defaultCode = examples[0]?.code || '// Write your JavaScript code here\nconsole.log("Hello, world!");';
@@ -12,8 +13,26 @@ export default function App() {
 
   // Code
   const [code, setCode] = useState(defaultCode);
+  // Run as a classic script (sloppy unless 'use strict') or as an ES module (always strict)
+  const [sourceType, setSourceType] = useState('script');
   const [currentExampleId, setCurrentExampleId] = useState(examples[0]?.id || null);
 
+  // fetch() mock tables, one per snippet (starting from the example's own mocks)
+  const [mockTables, setMockTables] = useState({});
+  const currentExample = examples.find((ex) => ex.id === currentExampleId);
+  const fetchMocks = mockTables[currentExampleId] ?? currentExample?.mocks ?? [];
+
+  // Scripted DOM events, one script per snippet (starting from the example's own script)
+  const [eventScripts, setEventScripts] = useState({});
+  const eventScript = eventScripts[currentExampleId] ?? currentExample?.eventScript ?? '';
+
+  // Virtual clock limits, shared by every snippet
+  const [timerOptions, setTimerOptions] = useState({
+    maxIntervalFirings: MAX_INTERVAL_FIRINGS,
+    frameInterval: FRAME_INTERVAL,
+    maxAnimationFrames: MAX_ANIMATION_FRAMES,
+  });
+
   // Execution state
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
@@ -44,7 +63,7 @@ export default function App() {
     setIsPlaying(false);
     setError(null);
     try {
-      const result = executeCode(code);
+      const result = executeCode(code, { ...timerOptions, fetchMocks, eventScript: parseEventScript(eventScript).events, sourceType });
       const steps = result.steps || [];
       
       // Warn if too many steps
@@ -66,7 +85,7 @@ export default function App() {
       setError(err.message || 'An unexpected error occurred');
       setCurrentStepIndex(0);
     }
-  }, [code]);
+  }, [code, fetchMocks, eventScript, sourceType, timerOptions]);
 
   const handleExampleSelect = useCallback((example) => {
     setCode(example.code);
@@ -87,17 +106,24 @@ export default function App() {
       activeLine={activeLine}
       readOnly={isPlaying}
       error={error}
+      sourceType={sourceType}
+      onSourceTypeChange={(type) => { setSourceType(type); setError(null); }}
       callStack={currentStep?.callStack || []}
       eventLoopPhase={currentStep?.eventLoopPhase || 'idle'}
       microtaskQueue={currentStep?.microtaskQueue || []}
       callbackQueue={currentStep?.callbackQueue || []}
+      animationFrameQueue={currentStep?.animationFrameQueue || []}
       webApis={currentStep?.webApis || []}
+      virtualTime={currentStep?.virtualTime || 0}
       scopes={currentStep?.scopes || []}
       previousScopes={previousStep?.scopes}
+      closureAccesses={currentStep?.closureAccesses || []}
       scopeChain={currentStep?.scopes || []}
       heap={currentStep?.memoryHeap || []}
+      heapFocus={currentStep?.heapFocus || null}
+      prototypeLookup={currentStep?.prototypeLookup || null}
       consoleOutput={currentStep?.consoleOutput || []}
-      currentStep={currentStep ? { type: currentStep.type, description: currentStep.description } : null}
+      currentStep={currentStep ? { type: currentStep.type, description: currentStep.description, errorStack: currentStep.errorStack } : null}
       trace={trace}
       isPlaying={isPlaying}
       currentStepIndex={currentStepIndex}
@@ -118,6 +144,12 @@ export default function App() {
       examples={examples}
       currentExampleId={currentExampleId}
       onExampleSelect={handleExampleSelect}
+      fetchMocks={fetchMocks}
+      onFetchMocksChange={(mocks) => setMockTables((tables) => ({ ...tables, [currentExampleId]: mocks }))}
+      eventScript={eventScript}
+      onEventScriptChange={(text) => setEventScripts((scripts) => ({ ...scripts, [currentExampleId]: text }))}
+      timerOptions={timerOptions}
+      onTimerOptionsChange={setTimerOptions}
       isDark={isDark}
       onToggleTheme={toggleTheme}
     />
@@ -64,12 +64,22 @@ export default function CallStack({ stack = [] }) {
                   <span className="text-sm font-mono font-semibold text-white truncate">
                     {frame.name}()
                   </span>
+                  {frame.kind && (
+                    <span className="text-[9px] font-semibold uppercase tracking-wider text-white/90 bg-white/20 px-1.5 py-0.5 rounded ml-2 shrink-0">
+                      {frame.kind}
+                    </span>
+                  )}
                   {frame.line != null && (
                     <span className="text-xs text-white/70 ml-2 shrink-0">
                       line {frame.line}
                     </span>
                   )}
                 </div>
+                {frame.detail && (
+                  <p className="mt-0.5 text-[10px] font-mono text-white/80 truncate">
+                    {frame.detail}
+                  </p>
+                )}
               </motion.div>
             ))
           )}
@@ -4,7 +4,7 @@ import { javascript } from '@codemirror/lang-javascript';
 import { EditorView, Decoration } from '@codemirror/view';
 import { StateField, StateEffect } from '@codemirror/state';
 
-// StateEffect to set the active line
+// StateEffect to set the active line: { line, kind } where kind styles it (e.g. 'hoisting')
 const setActiveLine = StateEffect.define();
 
 // StateField that manages active line decoration
@@ -15,13 +15,14 @@ const activeLineField = StateField.define({
   update(decorations, tr) {
     for (const effect of tr.effects) {
       if (effect.is(setActiveLine)) {
-        const lineNum = effect.value;
+        const { line: lineNum, kind } = effect.value;
         if (lineNum == null || lineNum < 1) {
           return Decoration.none;
         }
         try {
           const line = tr.state.doc.line(lineNum);
-          const deco = Decoration.line({ class: 'active-line' }).range(line.from);
+          const className = kind ? `active-line ${kind}-line` : 'active-line';
+          const deco = Decoration.line({ class: className }).range(line.from);
           return Decoration.set([deco]);
         } catch {
           return Decoration.none;
@@ -55,6 +56,11 @@ const editorTheme = EditorView.theme({
     backgroundColor: 'var(--highlight-line) !important',
     borderLeft: '3px solid var(--accent) !important',
   },
+  // Declaration being lifted during the hoisting (creation) phase
+  '.hoisting-line': {
+    backgroundColor: 'var(--highlight-hoisting) !important',
+    borderLeft: '3px dashed #8b5cf6 !important',
+  },
   '.cm-content': {
     caretColor: 'var(--accent)',
   },
@@ -66,7 +72,20 @@ const editorTheme = EditorView.theme({
   },
 });
 
-export default function CodeEditor({ code, onChange, activeLine, readOnly = false }) {
+const sourceTypes = [
+  { id: 'script', label: 'Script', title: 'Classic script — sloppy mode unless it says "use strict"' },
+  { id: 'module', label: 'Module', title: 'ES module — always strict, top-level this is undefined' },
+];
+
+export default function CodeEditor({
+  code,
+  onChange,
+  activeLine,
+  activeLineKind = null,
+  readOnly = false,
+  sourceType = 'script',
+  onSourceTypeChange,
+}) {
   const viewRef = useRef(null);
 
   const extensions = useMemo(
@@ -85,17 +104,38 @@ export default function CodeEditor({ code, onChange, activeLine, readOnly = fals
     viewRef.current = view;
   }, []);
 
-  // Dispatch active line effect only when activeLine prop changes
+  // Dispatch active line effect only when the active line (or its kind) changes
   useEffect(() => {
     if (viewRef.current) {
       viewRef.current.dispatch({
-        effects: setActiveLine.of(activeLine),
+        effects: setActiveLine.of({ line: activeLine, kind: activeLineKind }),
       });
     }
-  }, [activeLine]);
+  }, [activeLine, activeLineKind]);
 
   return (
-    <div className="h-full w-full overflow-hidden rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-slate-900">
+    <div className="relative h-full w-full overflow-hidden rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-slate-900">
+      {/* Run the snippet as a classic script or as a module */}
+      {onSourceTypeChange && (
+        <div className="absolute top-1.5 right-2 z-10 flex rounded-md border border-gray-600 bg-slate-800/90 p-0.5 text-[10px] font-medium">
+          {sourceTypes.map((type) => (
+            <button
+              key={type.id}
+              onClick={() => onSourceTypeChange(type.id)}
+              disabled={readOnly}
+              title={type.title}
+              aria-pressed={sourceType === type.id}
+              className={`px-1.5 py-0.5 rounded transition-colors ${
+                sourceType === type.id
+                  ? 'bg-blue-500 text-white'
+                  : 'text-gray-400 hover:text-gray-200'
+              }`}
+            >
+              {type.label}
+            </button>
+          ))}
+        </div>
+      )}
       <CodeMirror
         value={code}
         onChange={handleChange}
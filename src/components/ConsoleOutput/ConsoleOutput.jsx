@@ -37,7 +37,7 @@ export default function ConsoleOutput({ output = [] }) {
           <div className="space-y-0.5">
             <AnimatePresence initial={false}>
               {output.map((line, index) => {
-                const isError = typeof line === 'string' && (line.startsWith('Error') || line.startsWith('TypeError') || line.startsWith('ReferenceError'));
+                const isError = typeof line === 'string' && /^(Uncaught|Error|TypeError|ReferenceError|RangeError|SyntaxError)\b/.test(line);
                 const isWarning = typeof line === 'string' && line.startsWith('Warning');
 
                 return (
@@ -55,7 +55,8 @@ export default function ConsoleOutput({ output = [] }) {
                     }`}
                   >
                     <span className="text-gray-600 select-none shrink-0">{'>'}</span>
-                    <span className="break-all">{String(line)}</span>
+                    {/* Errors print with their stack trace, one frame per line */}
+                    <span className="break-all whitespace-pre-wrap">{String(line)}</span>
                   </motion.div>
                 );
               })}
@@ -1,11 +1,20 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { RefreshCw, Zap, Clock, CircleDot } from 'lucide-react';
+import { RefreshCw, Zap, Clock, CircleDot, MonitorPlay } from 'lucide-react';
 
 const phaseConfig = {
   idle: { label: 'Idle', color: 'text-gray-400', bg: 'bg-gray-100 dark:bg-gray-700', ring: 'ring-gray-300 dark:ring-gray-600' },
   executing: { label: 'Executing', color: 'text-blue-500', bg: 'bg-blue-50 dark:bg-blue-900/30', ring: 'ring-blue-400' },
   microtasks: { label: 'Microtasks', color: 'text-purple-500', bg: 'bg-purple-50 dark:bg-purple-900/30', ring: 'ring-purple-400' },
   macrotasks: { label: 'Macrotasks', color: 'text-orange-500', bg: 'bg-orange-50 dark:bg-orange-900/30', ring: 'ring-orange-400' },
+  render: { label: 'Render', color: 'text-sky-500', bg: 'bg-sky-50 dark:bg-sky-900/30', ring: 'ring-sky-400' },
+};
+
+// Phase names emitted by the engine → the panel's phases
+const phaseAliases = {
+  microtask: 'microtasks',
+  callback: 'macrotasks',
+  'timer-complete': 'macrotasks',
+  'checking-queues': 'executing',
 };
 
 function QueueItem({ item, color }) {
@@ -22,7 +31,8 @@ function QueueItem({ item, color }) {
   );
 }
 
-export default function EventLoop({ phase = 'idle', microtaskQueue = [], callbackQueue = [] }) {
+export default function EventLoop({ phase: rawPhase = 'idle', microtaskQueue = [], callbackQueue = [], animationFrameQueue = [] }) {
+  const phase = phaseAliases[rawPhase] || rawPhase;
   const currentPhase = phaseConfig[phase] || phaseConfig.idle;
   const isActive = phase !== 'idle';
 
@@ -81,6 +91,15 @@ export default function EventLoop({ phase = 'idle', microtaskQueue = [], callbac
                 <span className="text-lg">←</span>
               </motion.div>
             )}
+            {phase === 'render' && (
+              <motion.div
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="absolute -bottom-7 left-1/2 -translate-x-1/2 text-sky-500"
+              >
+                <span className="text-lg">↓</span>
+              </motion.div>
+            )}
             {phase === 'macrotasks' && (
               <motion.div
                 initial={{ opacity: 0, x: -20 }}
@@ -168,6 +187,42 @@ export default function EventLoop({ phase = 'idle', microtaskQueue = [], callbac
           </div>
         </div>
 
+        {/* Render step: requestAnimationFrame callbacks waiting for the next frame */}
+        <div className={`rounded-lg border p-2 transition-colors ${
+          phase === 'render'
+            ? 'border-sky-400 dark:border-sky-500 bg-sky-50/50 dark:bg-sky-900/20'
+            : 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-slate-700/50'
+        }`}>
+          <div className="flex items-center gap-1.5 mb-2">
+            <MonitorPlay className="w-3.5 h-3.5 text-sky-500" />
+            <span className="text-xs font-semibold text-sky-600 dark:text-sky-400">
+              Render (rAF)
+            </span>
+            <span className="ml-auto text-[10px] text-gray-400 bg-gray-200 dark:bg-gray-600 px-1.5 rounded-full">
+              {animationFrameQueue.length}
+            </span>
+          </div>
+          <div className="flex flex-wrap gap-1 min-h-[28px]">
+            <AnimatePresence mode="popLayout">
+              {animationFrameQueue.length === 0 ? (
+                <motion.p
+                  key="empty-raf"
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 0.5 }}
+                  exit={{ opacity: 0 }}
+                  className="text-[10px] text-gray-400 italic w-full text-center py-1"
+                >
+                  empty
+                </motion.p>
+              ) : (
+                animationFrameQueue.map((item, i) => (
+                  <QueueItem key={`raf-${i}-${item.callback || i}`} item={item} color="bg-sky-500" />
+                ))
+              )}
+            </AnimatePresence>
+          </div>
+        </div>
+
         {/* Flow Description */}
         <AnimatePresence mode="wait">
           <motion.div
@@ -183,6 +238,7 @@ export default function EventLoop({ phase = 'idle', microtaskQueue = [], callbac
               {phase === 'executing' && 'Running code on the call stack'}
               {phase === 'microtasks' && 'Processing microtask queue (Promises)'}
               {phase === 'macrotasks' && 'Processing callback queue (setTimeout, etc.)'}
+              {phase === 'render' && 'Rendering a frame (requestAnimationFrame callbacks)'}
             </p>
           </motion.div>
         </AnimatePresence>
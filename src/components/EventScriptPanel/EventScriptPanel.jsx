@@ -0,0 +1,102 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, MousePointerClick, AlertTriangle } from 'lucide-react';
+import { parseEventScript } from '../../utils/eventScript';
+
+const placeholder = `// <time>ms <event> <#id|document> [value]
+50ms click #button
+120ms input #search "hel"`;
+
+export default function EventScriptPanel({ isOpen, onClose, script = '', onChange }) {
+  const { events, errors } = parseEventScript(script);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-50 flex justify-end">
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="absolute inset-0 bg-black/30"
+          />
+
+          {/* Side panel */}
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'spring', stiffness: 400, damping: 40 }}
+            className="relative w-full max-w-md h-full flex flex-col bg-white dark:bg-slate-800 shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-slate-800/80">
+              <MousePointerClick className="w-4 h-4 text-pink-500" />
+              <div>
+                <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+                  Event Script
+                </h3>
+                <p className="text-[10px] text-gray-400 dark:text-gray-500">
+                  Simulated user events, dispatched as tasks on the virtual clock
+                </p>
+              </div>
+              <button
+                onClick={onClose}
+                className="ml-auto w-7 h-7 rounded-lg hover:bg-gray-200 dark:hover:bg-slate-700 flex items-center justify-center transition-colors"
+                aria-label="Close event script"
+              >
+                <X className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+              </button>
+            </div>
+
+            {/* Script editor */}
+            <div className="flex-1 overflow-y-auto p-3 space-y-2">
+              <textarea
+                value={script}
+                onChange={(e) => onChange(e.target.value)}
+                rows={12}
+                placeholder={placeholder}
+                spellCheck={false}
+                className="w-full text-xs font-mono px-2 py-1.5 rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200 resize-y"
+                aria-label="Event script"
+              />
+              {errors.map((message) => (
+                <div
+                  key={message}
+                  className="flex items-start gap-1.5 text-[11px] text-amber-700 dark:text-amber-400"
+                >
+                  <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-0.5" />
+                  <span>{message}</span>
+                </div>
+              ))}
+
+              {/* Parsed timeline */}
+              {events.length > 0 && (
+                <div className="space-y-1 pt-1">
+                  {[...events]
+                    .sort((a, b) => a.time - b.time)
+                    .map((event, i) => (
+                      <div
+                        key={i}
+                        className="flex items-center gap-2 rounded-lg border border-pink-200 dark:border-pink-800 bg-pink-50 dark:bg-pink-900/20 px-2.5 py-1.5 text-xs font-mono"
+                      >
+                        <span className="w-14 text-pink-600 dark:text-pink-400">{event.time}ms</span>
+                        <span className="text-gray-700 dark:text-gray-200">{event.type}</span>
+                        <span className="text-gray-500 dark:text-gray-400">{event.target}</span>
+                        {event.value !== undefined && (
+                          <span className="ml-auto truncate text-gray-400 dark:text-gray-500">
+                            "{event.value}"
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                </div>
+              )}
+            </div>
+          </motion.aside>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+}
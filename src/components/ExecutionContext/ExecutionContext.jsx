@@ -1,13 +1,35 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { Target, Globe, FunctionSquare } from 'lucide-react';
+import { Target, Globe, FunctionSquare, CornerDownRight } from 'lucide-react';
+
+// Which call rule decided `this` for a frame
+const thisRules = {
+  global: { label: 'global', badge: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' },
+  default: { label: 'default', badge: 'bg-gray-200 text-gray-700 dark:bg-slate-600 dark:text-gray-200' },
+  implicit: { label: 'implicit', badge: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300' },
+  explicit: { label: 'explicit', badge: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300' },
+  bound: { label: 'bind', badge: 'bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-300' },
+  new: { label: 'new', badge: 'bg-purple-100 text-purple-700 dark:bg-purple-900/40 dark:text-purple-300' },
+  lexical: { label: 'arrow', badge: 'bg-cyan-100 text-cyan-700 dark:bg-cyan-900/40 dark:text-cyan-300' },
+};
+
+function RuleBadge({ rule }) {
+  const style = thisRules[rule] || thisRules.default;
+  return (
+    <span className={`text-[9px] font-medium px-1 py-px rounded shrink-0 ${style.badge}`}>
+      {style.label}
+    </span>
+  );
+}
 
 export default function ExecutionContext({ scopes = [], callStack = [] }) {
   const currentFrame = callStack.length > 0 ? callStack[callStack.length - 1] : null;
-  const isGlobal = !currentFrame || currentFrame.name === 'main' || currentFrame.name === '<global>';
+  const isGlobal = !currentFrame || currentFrame.name === 'main()' || currentFrame.name === '<global>';
   const contextType = isGlobal ? 'Global' : 'Function';
   const contextName = currentFrame?.name || 'Global';
   const currentScope = scopes.length > 0 ? scopes[0] : null;
-  const thisBinding = isGlobal ? 'window (global)' : `${contextName} context`;
+  const thisBinding = currentFrame?.thisBinding;
+  // Frames below the current one, innermost first
+  const outerFrames = callStack.slice(0, -1).reverse().filter((frame) => frame.thisBinding);
 
   return (
     <div className="h-full flex flex-col rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-slate-800 overflow-hidden">
@@ -51,23 +73,49 @@ export default function ExecutionContext({ scopes = [], callStack = [] }) {
 
               {currentFrame && (
                 <p className="text-xs font-mono text-gray-600 dark:text-gray-400 ml-6">
-                  {contextName}()
+                  {contextName}
                 </p>
               )}
             </div>
 
             {/* Details rows */}
             <div className="space-y-2">
-              {/* this binding */}
-              <div className="flex items-start gap-2 px-2 py-1.5 rounded-md bg-gray-50 dark:bg-slate-700/40">
-                <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider shrink-0 mt-0.5">
-                  this
-                </span>
-                <span className="text-xs font-mono text-amber-600 dark:text-amber-400">
-                  {thisBinding}
-                </span>
+              {/* this binding, with the rule that set it */}
+              <div className="px-2 py-1.5 rounded-md bg-gray-50 dark:bg-slate-700/40">
+                <div className="flex items-start gap-2">
+                  <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider shrink-0 mt-0.5">
+                    this
+                  </span>
+                  <span className="text-xs font-mono text-amber-600 dark:text-amber-400 truncate">
+                    {thisBinding ? thisBinding.value : 'Window'}
+                  </span>
+                  {thisBinding && <span className="ml-auto"><RuleBadge rule={thisBinding.rule} /></span>}
+                </div>
+                {thisBinding && (
+                  <div className="flex items-start gap-1 mt-1 text-[10px] text-gray-500 dark:text-gray-400">
+                    <CornerDownRight className="w-3 h-3 shrink-0 text-amber-500" />
+                    <span>{thisBinding.reason}</span>
+                  </div>
+                )}
               </div>
 
+              {/* this in the frames further down the stack */}
+              {outerFrames.length > 0 && (
+                <div className="px-2 py-1.5 rounded-md bg-gray-50 dark:bg-slate-700/40 space-y-0.5">
+                  <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    this below
+                  </span>
+                  {outerFrames.map((frame, index) => (
+                    <div key={index} className="flex items-center gap-1.5 text-[11px] font-mono">
+                      <span className="text-gray-600 dark:text-gray-300 shrink-0">{frame.name}</span>
+                      <span className="text-gray-400">→</span>
+                      <span className="text-amber-600 dark:text-amber-400 truncate">{frame.thisBinding.value}</span>
+                      <span className="ml-auto"><RuleBadge rule={frame.thisBinding.rule} /></span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Variable Environment */}
               <div className="flex items-start gap-2 px-2 py-1.5 rounded-md bg-gray-50 dark:bg-slate-700/40">
                 <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider shrink-0 mt-0.5">
@@ -1,6 +1,6 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Code2, Sun, Moon, Github, AlertTriangle, User, TrendingUp } from 'lucide-react';
+import { Code2, Sun, Moon, Github, AlertTriangle, User, TrendingUp, Wifi, MousePointerClick, Timer } from 'lucide-react';
 
 import CodeEditor from '../CodeEditor/CodeEditor';
 import CallStack from '../CallStack/CallStack';
@@ -9,12 +9,17 @@ import WebAPIs from '../WebAPIs/WebAPIs';
 import VariablePanel from '../VariablePanel/VariablePanel';
 import ScopeChain from '../ScopeChain/ScopeChain';
 import MemoryHeap from '../MemoryHeap/MemoryHeap';
+import PrototypeChain from '../PrototypeChain/PrototypeChain';
+import ReferenceArrows from '../ReferenceArrows/ReferenceArrows';
 import ExecutionContext from '../ExecutionContext/ExecutionContext';
 import ConsoleOutput from '../ConsoleOutput/ConsoleOutput';
 import StepDescription from '../StepDescription/StepDescription';
 import ExecutionControls from '../ExecutionControls/ExecutionControls';
 import ExampleSelector from '../ExampleSelector/ExampleSelector';
 import ComplexityModal from '../ComplexityModal/ComplexityModal';
+import MockNetworkPanel from '../MockNetworkPanel/MockNetworkPanel';
+import EventScriptPanel from '../EventScriptPanel/EventScriptPanel';
+import TimerSettingsPanel from '../TimerSettingsPanel/TimerSettingsPanel';
 import { analyzeComplexity } from '../../utils/complexityAnalyzer';
 
 export default function Layout({
@@ -24,17 +29,24 @@ export default function Layout({
   activeLine,
   readOnly = false,
   error = null,
+  sourceType = 'script',
+  onSourceTypeChange,
 
   // Execution state
   callStack = [],
   eventLoopPhase = 'idle',
   microtaskQueue = [],
   callbackQueue = [],
+  animationFrameQueue = [],
   webApis = [],
+  virtualTime = 0,
   scopes = [],
   previousScopes,
+  closureAccesses = [],
   scopeChain = [],
   heap = [],
+  heapFocus = null,
+  prototypeLookup = null,
   consoleOutput = [],
   currentStep = null,
   trace = [], // Add trace prop for complexity analysis
@@ -57,12 +69,28 @@ export default function Layout({
   currentExampleId,
   onExampleSelect,
 
+  // Network mocks for fetch()
+  fetchMocks = [],
+  onFetchMocksChange,
+
+  // Scripted DOM events
+  eventScript = '',
+  onEventScriptChange,
+
+  // Virtual clock limits
+  timerOptions = {},
+  onTimerOptionsChange,
+
   // Theme
   isDark = false,
   onToggleTheme,
 }) {
   const [activeTab, setActiveTab] = useState('runtime');
   const [showComplexityModal, setShowComplexityModal] = useState(false);
+  const [showMockPanel, setShowMockPanel] = useState(false);
+  const [showEventPanel, setShowEventPanel] = useState(false);
+  const [showTimerPanel, setShowTimerPanel] = useState(false);
+  const mainRef = useRef(null);
   
   // Calculate complexity from trace
   const complexity = analyzeComplexity(trace);
@@ -117,6 +145,41 @@ export default function Layout({
             <TrendingUp className="w-4 h-4" />
             <span>Complexity</span>
           </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={() => setShowMockPanel(true)}
+            className="relative w-8 h-8 rounded-lg bg-gray-100 dark:bg-slate-700 flex items-center justify-center hover:bg-gray-200 dark:hover:bg-slate-600 transition-colors"
+            aria-label="Edit network mocks"
+          >
+            <Wifi className="w-4 h-4 text-blue-500" />
+            {fetchMocks.length > 0 && (
+              <span className="absolute -top-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-blue-500 text-[9px] font-bold text-white flex items-center justify-center">
+                {fetchMocks.length}
+              </span>
+            )}
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={() => setShowEventPanel(true)}
+            className="relative w-8 h-8 rounded-lg bg-gray-100 dark:bg-slate-700 flex items-center justify-center hover:bg-gray-200 dark:hover:bg-slate-600 transition-colors"
+            aria-label="Edit event script"
+          >
+            <MousePointerClick className="w-4 h-4 text-pink-500" />
+            {eventScript.trim() && (
+              <span className="absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full bg-pink-500" />
+            )}
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={() => setShowTimerPanel(true)}
+            className="w-8 h-8 rounded-lg bg-gray-100 dark:bg-slate-700 flex items-center justify-center hover:bg-gray-200 dark:hover:bg-slate-600 transition-colors"
+            aria-label="Edit timer settings"
+          >
+            <Timer className="w-4 h-4 text-amber-500" />
+          </motion.button>
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
@@ -161,7 +224,10 @@ export default function Layout({
       </div>
 
       {/* ===== MAIN CONTENT ===== */}
-      <main className="flex-1 min-h-0 flex flex-col lg:flex-row gap-0">
+      <main ref={mainRef} className="relative flex-1 min-h-0 flex flex-col lg:flex-row gap-0">
+        {/* Arrows from variables and object slots to the heap cards they reference */}
+        <ReferenceArrows containerRef={mainRef} heap={heap} scopes={scopes} />
+
         {/* LEFT PANEL: Code Editor + Variables */}
         <div className="lg:w-[38%] xl:w-[35%] flex flex-col border-r border-gray-200 dark:border-gray-700 min-h-0">
           {/* Code Editor */}
@@ -170,7 +236,10 @@ export default function Layout({
               code={code}
               onChange={onCodeChange}
               activeLine={activeLine}
+              activeLineKind={currentStep?.type === 'hoisting' ? 'hoisting' : null}
               readOnly={readOnly}
+              sourceType={sourceType}
+              onSourceTypeChange={onSourceTypeChange}
             />
           </div>
 
@@ -192,7 +261,7 @@ export default function Layout({
           {/* Variables + Console (stacked beneath editor on desktop) */}
           <div className="hidden lg:flex h-[35%] min-h-0 gap-2 p-2 pt-0">
             <div className="flex-1 min-w-0">
-              <VariablePanel scopes={scopes} previousScopes={previousScopes} />
+              <VariablePanel scopes={scopes} previousScopes={previousScopes} closureAccesses={closureAccesses} />
             </div>
             <div className="flex-1 min-w-0">
               <ConsoleOutput output={consoleOutput} />
@@ -223,7 +292,7 @@ export default function Layout({
           <div className="lg:hidden min-h-0">
             {activeTab === 'variables' && (
               <div className="h-48 p-2">
-                <VariablePanel scopes={scopes} previousScopes={previousScopes} />
+                <VariablePanel scopes={scopes} previousScopes={previousScopes} closureAccesses={closureAccesses} />
               </div>
             )}
             {activeTab === 'console' && (
@@ -244,7 +313,7 @@ export default function Layout({
                 <CallStack stack={callStack} />
               </div>
               <div className="min-h-[140px]">
-                <WebAPIs apis={webApis} />
+                <WebAPIs apis={webApis} virtualTime={virtualTime} />
               </div>
               <div className="min-h-[140px] col-span-2 xl:col-span-1">
                 <ExecutionContext scopes={scopes} callStack={callStack} />
@@ -256,6 +325,7 @@ export default function Layout({
                   phase={eventLoopPhase}
                   microtaskQueue={microtaskQueue}
                   callbackQueue={callbackQueue}
+                  animationFrameQueue={animationFrameQueue}
                 />
               </div>
               <div className="min-h-[160px] col-span-2 xl:col-span-1">
@@ -263,8 +333,11 @@ export default function Layout({
               </div>
 
               {/* Row 3 */}
-              <div className="min-h-[140px] col-span-2 xl:col-span-3">
-                <MemoryHeap heap={heap} />
+              <div className="min-h-[140px] col-span-2 xl:col-span-2">
+                <MemoryHeap heap={heap} focus={heapFocus} />
+              </div>
+              <div className="min-h-[140px] col-span-2 xl:col-span-1">
+                <PrototypeChain lookup={prototypeLookup} />
               </div>
             </div>
           </div>
@@ -295,6 +368,28 @@ export default function Layout({
         onClose={() => setShowComplexityModal(false)}
         complexity={complexity}
       />
+
+      {/* Network mocks side panel */}
+      <MockNetworkPanel
+        isOpen={showMockPanel}
+        onClose={() => setShowMockPanel(false)}
+        mocks={fetchMocks}
+        onChange={onFetchMocksChange}
+      />
+
+      <EventScriptPanel
+        isOpen={showEventPanel}
+        onClose={() => setShowEventPanel(false)}
+        script={eventScript}
+        onChange={onEventScriptChange}
+      />
+
+      <TimerSettingsPanel
+        isOpen={showTimerPanel}
+        onClose={() => setShowTimerPanel(false)}
+        options={timerOptions}
+        onChange={onTimerOptionsChange}
+      />
     </div>
   );
 }
@@ -1,37 +1,121 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { HardDrive, Box, List } from 'lucide-react';
+import { HardDrive, Box, List, KeyRound, CircleDot } from 'lucide-react';
 
-function formatHeapValue(value) {
-  if (value === undefined) return 'undefined';
-  if (value === null) return 'null';
-  if (typeof value === 'string') return `"${value}"`;
-  if (typeof value === 'function') return 'ƒ()';
-  return String(value);
+// A slot holding an object: a dot the reference arrow starts from. Weak
+// references are hollow and draw a dashed arrow
+function RefPointer({ target, title, weak = false }) {
+  return (
+    <span
+      data-heap-ref={target}
+      data-heap-weak={weak || undefined}
+      title={weak ? `${title} (weak reference)` : title}
+      className={`inline-block w-2 h-2 rounded-full align-middle ${
+        weak
+          ? 'border border-dashed border-indigo-500 dark:border-indigo-400'
+          : 'bg-indigo-500 dark:bg-indigo-400'
+      }`}
+    />
+  );
+}
+
+function SlotValue({ value, target, weak = false }) {
+  return target != null ? (
+    <RefPointer target={target} title={value} weak={weak} />
+  ) : (
+    <span className="text-gray-700 dark:text-gray-300 truncate">{value}</span>
+  );
+}
+
+const typeNames = {
+  array: 'Array',
+  object: 'Object',
+  function: 'Function',
+  map: 'Map',
+  set: 'Set',
+  weakmap: 'WeakMap',
+  weakset: 'WeakSet',
+};
+
+// Key → value rows; an entry whose weak key is being collected is struck through
+function MapEntries({ entries, weak, focusIndex }) {
+  return (
+    <div className="space-y-0.5">
+      {entries.slice(0, 6).map((slot) => (
+        <div
+          key={slot.key}
+          className={`flex items-baseline gap-1 text-[11px] font-mono px-1 -mx-1 rounded transition-colors ${
+            slot.key === focusIndex ? 'bg-amber-200/70 dark:bg-amber-500/30' : ''
+          } ${slot.cleared ? 'line-through opacity-50' : ''}`}
+        >
+          <SlotValue value={slot.keyValue} target={slot.keyRef} weak={weak} />
+          <span className="text-gray-400 dark:text-gray-500 shrink-0">→</span>
+          <SlotValue value={slot.value} target={slot.ref} />
+        </div>
+      ))}
+      {entries.length > 6 && (
+        <p className="text-[9px] text-gray-400">
+          +{entries.length - 6} more...
+        </p>
+      )}
+    </div>
+  );
 }
 
-function HeapCard({ item }) {
+// Set membership: one chip per member, in insertion order
+function SetMembers({ entries, weak, focusIndex }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {entries.map((slot) => (
+        <span
+          key={slot.key}
+          className={`text-[11px] font-mono px-1.5 py-0.5 rounded-full border transition-colors ${
+            slot.key === focusIndex
+              ? 'bg-amber-400 border-amber-500 text-white'
+              : 'bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-300 border-gray-200 dark:border-gray-600'
+          } ${slot.cleared ? 'line-through opacity-50' : ''}`}
+        >
+          {slot.ref != null ? <RefPointer target={slot.ref} title={slot.value} weak={weak} /> : slot.value}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function HeapCard({ item, focusIndex = null }) {
   const isArray = item.type === 'array';
   const isFunction = item.type === 'function';
+  const isMap = item.type === 'map' || item.type === 'weakmap';
+  const isSet = item.type === 'set' || item.type === 'weakset';
+  const isWeak = item.type === 'weakmap' || item.type === 'weakset';
+  const isGarbage = item.reachable === false;
 
-  const colorClasses = isArray
+  const colorClasses = isGarbage
+    ? 'border-dashed border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-slate-700/40 opacity-60'
+    : isArray
     ? 'border-pink-400 dark:border-pink-600 bg-pink-50 dark:bg-pink-900/20'
     : isFunction
     ? 'border-purple-400 dark:border-purple-600 bg-purple-50 dark:bg-purple-900/20'
+    : isMap
+    ? 'border-orange-400 dark:border-orange-600 bg-orange-50 dark:bg-orange-900/20'
+    : isSet
+    ? 'border-teal-400 dark:border-teal-600 bg-teal-50 dark:bg-teal-900/20'
     : 'border-cyan-400 dark:border-cyan-600 bg-cyan-50 dark:bg-cyan-900/20';
 
-  const headerColor = isArray
+  const headerColor = isGarbage
+    ? 'bg-gray-400 dark:bg-gray-600'
+    : isArray
     ? 'bg-pink-500'
     : isFunction
     ? 'bg-purple-500'
+    : isMap
+    ? 'bg-orange-500'
+    : isSet
+    ? 'bg-teal-500'
     : 'bg-cyan-500';
 
-  const Icon = isArray ? List : Box;
+  const Icon = isArray ? List : isMap ? KeyRound : isSet ? CircleDot : Box;
 
-  const entries = item.value != null
-    ? typeof item.value === 'object'
-      ? Object.entries(item.value)
-      : [[null, item.value]]
-    : [];
+  const entries = item.entries || [];
 
   return (
     <motion.div
@@ -40,7 +124,10 @@ function HeapCard({ item }) {
       exit={{ opacity: 0, scale: 0.8 }}
       transition={{ type: 'spring', stiffness: 400, damping: 25 }}
       layout
-      className={`rounded-lg border ${colorClasses} shadow-sm overflow-hidden`}
+      data-heap-id={item.id}
+      className={`rounded-lg border ${colorClasses} shadow-sm overflow-hidden ${
+        focusIndex !== null ? 'ring-2 ring-offset-1 ring-offset-white dark:ring-offset-slate-800 ring-amber-400' : ''
+      }`}
     >
       {/* Header */}
       <div className={`${headerColor} px-2.5 py-1 flex items-center gap-1.5`}>
@@ -49,7 +136,7 @@ function HeapCard({ item }) {
           {item.label || item.id}
         </span>
         <span className="ml-auto text-[9px] text-white/70 font-mono">
-          {isArray ? 'Array' : isFunction ? 'Function' : 'Object'}
+          {isGarbage ? 'unreachable' : `#${item.id} ${typeNames[item.type] || 'Object'}`}
         </span>
       </div>
 
@@ -57,25 +144,36 @@ function HeapCard({ item }) {
       <div className="px-2.5 py-1.5">
         {entries.length === 0 ? (
           <p className="text-[10px] text-gray-400 italic">empty</p>
-        ) : isArray && Array.isArray(item.value) ? (
+        ) : isMap ? (
+          <MapEntries entries={entries} weak={isWeak} focusIndex={focusIndex} />
+        ) : isSet ? (
+          <SetMembers entries={entries} weak={isWeak} focusIndex={focusIndex} />
+        ) : isArray ? (
           <div className="flex flex-wrap gap-1">
-            {item.value.map((el, i) => (
+            {entries.map((slot) => (
               <span
-                key={i}
-                className="text-[11px] font-mono px-1.5 py-0.5 bg-white dark:bg-slate-700 rounded text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-600"
+                key={slot.key}
+                title={`[${slot.key}]`}
+                className={`text-[11px] font-mono px-1.5 py-0.5 rounded border transition-colors ${
+                  slot.key === focusIndex
+                    ? 'bg-amber-400 border-amber-500 text-white'
+                    : 'bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-300 border-gray-200 dark:border-gray-600'
+                }`}
               >
-                {formatHeapValue(el)}
+                {slot.ref != null ? <RefPointer target={slot.ref} title={slot.value} /> : slot.value}
               </span>
             ))}
           </div>
         ) : (
           <div className="space-y-0.5">
-            {entries.slice(0, 6).map(([key, val]) => (
-              <div key={key} className="flex items-baseline gap-1 text-[11px] font-mono">
-                <span className="text-gray-500 dark:text-gray-400 shrink-0">{key}:</span>
-                <span className="text-gray-700 dark:text-gray-300 truncate">
-                  {formatHeapValue(val)}
-                </span>
+            {entries.slice(0, 6).map((slot) => (
+              <div key={slot.key} className="flex items-baseline gap-1 text-[11px] font-mono">
+                <span className="text-gray-500 dark:text-gray-400 shrink-0">{slot.key}:</span>
+                {slot.ref != null ? (
+                  <RefPointer target={slot.ref} title={slot.value} />
+                ) : (
+                  <span className="text-gray-700 dark:text-gray-300 truncate">{slot.value}</span>
+                )}
               </div>
             ))}
             {entries.length > 6 && (
@@ -85,12 +183,17 @@ function HeapCard({ item }) {
             )}
           </div>
         )}
+        {isWeak && !isGarbage && (
+          <p className="mt-1 text-[9px] text-gray-400 dark:text-gray-500 italic">
+            weak {isMap ? 'keys' : 'members'} — entries do not keep objects alive
+          </p>
+        )}
       </div>
     </motion.div>
   );
 }
 
-export default function MemoryHeap({ heap = [] }) {
+export default function MemoryHeap({ heap = [], focus = null }) {
   return (
     <div className="h-full flex flex-col rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-slate-800 overflow-hidden">
       {/* Header */}
@@ -122,7 +225,11 @@ export default function MemoryHeap({ heap = [] }) {
           ) : (
             <div className="grid grid-cols-1 gap-2">
               {heap.map((item) => (
-                <HeapCard key={item.id} item={item} />
+                <HeapCard
+                  key={item.id}
+                  item={item}
+                  focusIndex={focus && focus.id === item.id ? focus.index : null}
+                />
               ))}
             </div>
           )}
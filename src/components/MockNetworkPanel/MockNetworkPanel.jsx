@@ -0,0 +1,133 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Wifi, Plus, Trash2 } from 'lucide-react';
+
+const emptyMock = { url: '/api/data', status: 200, latency: 100, body: '{}' };
+
+export default function MockNetworkPanel({ isOpen, onClose, mocks = [], onChange }) {
+  const updateMock = (index, field, value) => {
+    onChange(mocks.map((mock, i) => (i === index ? { ...mock, [field]: value } : mock)));
+  };
+
+  const removeMock = (index) => {
+    onChange(mocks.filter((_, i) => i !== index));
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-50 flex justify-end">
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="absolute inset-0 bg-black/30"
+          />
+
+          {/* Side panel */}
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'spring', stiffness: 400, damping: 40 }}
+            className="relative w-full max-w-md h-full flex flex-col bg-white dark:bg-slate-800 shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-slate-800/80">
+              <Wifi className="w-4 h-4 text-blue-500" />
+              <div>
+                <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+                  Network Mocks
+                </h3>
+                <p className="text-[10px] text-gray-400 dark:text-gray-500">
+                  fetch() answers from this table — unknown URLs get a 404
+                </p>
+              </div>
+              <button
+                onClick={onClose}
+                className="ml-auto w-7 h-7 rounded-lg hover:bg-gray-200 dark:hover:bg-slate-700 flex items-center justify-center transition-colors"
+                aria-label="Close network mocks"
+              >
+                <X className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+              </button>
+            </div>
+
+            {/* Mock rows */}
+            <div className="flex-1 overflow-y-auto p-3 space-y-2">
+              {mocks.length === 0 && (
+                <p className="text-xs text-gray-400 dark:text-gray-500 italic text-center py-6">
+                  No mocks for this snippet yet
+                </p>
+              )}
+              {mocks.map((mock, i) => (
+                <div
+                  key={i}
+                  className="rounded-lg border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/20 p-2.5 space-y-2"
+                >
+                  <div className="flex items-center gap-2">
+                    <input
+                      value={mock.url}
+                      onChange={(e) => updateMock(i, 'url', e.target.value)}
+                      placeholder="/api/url"
+                      className="flex-1 min-w-0 text-xs font-mono px-2 py-1 rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200"
+                      aria-label="URL"
+                    />
+                    <button
+                      onClick={() => removeMock(i)}
+                      className="w-6 h-6 rounded hover:bg-red-100 dark:hover:bg-red-900/30 flex items-center justify-center transition-colors"
+                      aria-label="Remove mock"
+                    >
+                      <Trash2 className="w-3.5 h-3.5 text-red-500" />
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <label className="flex items-center gap-1 text-[10px] text-gray-500 dark:text-gray-400">
+                      Status
+                      <input
+                        type="number"
+                        value={mock.status}
+                        onChange={(e) => updateMock(i, 'status', Number(e.target.value))}
+                        className="w-16 text-xs font-mono px-1.5 py-0.5 rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200"
+                      />
+                    </label>
+                    <label className="flex items-center gap-1 text-[10px] text-gray-500 dark:text-gray-400">
+                      Latency
+                      <input
+                        type="number"
+                        min="0"
+                        value={mock.latency}
+                        onChange={(e) => updateMock(i, 'latency', Number(e.target.value))}
+                        className="w-16 text-xs font-mono px-1.5 py-0.5 rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200"
+                      />
+                      ms
+                    </label>
+                  </div>
+                  <textarea
+                    value={mock.body}
+                    onChange={(e) => updateMock(i, 'body', e.target.value)}
+                    rows={3}
+                    placeholder="Response body"
+                    className="w-full text-xs font-mono px-2 py-1 rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200 resize-y"
+                    aria-label="Response body"
+                  />
+                </div>
+              ))}
+            </div>
+
+            {/* Footer */}
+            <div className="p-3 border-t border-gray-200 dark:border-gray-700">
+              <button
+                onClick={() => onChange([...mocks, { ...emptyMock }])}
+                className="w-full flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-xs font-medium transition-colors"
+              >
+                <Plus className="w-3.5 h-3.5" />
+                Add mock response
+              </button>
+            </div>
+          </motion.aside>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+}
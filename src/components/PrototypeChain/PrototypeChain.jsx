@@ -0,0 +1,158 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { GitFork, Check, X } from 'lucide-react';
+
+const MAX_KEYS = 4;
+
+// Show a few own keys per level, always including the one being looked up
+function visibleKeys(keys, property) {
+  const shown = keys.slice(0, MAX_KEYS);
+  if (keys.includes(property) && !shown.includes(property)) shown[shown.length - 1] = property;
+  return { shown, hidden: keys.length - shown.length };
+}
+
+function ChainLevel({ level, index, property, status }) {
+  const { shown, hidden } = visibleKeys(level.keys, property);
+
+  const boxClasses = {
+    found: 'border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20 ring-2 ring-offset-1 ring-offset-white dark:ring-offset-slate-800 ring-emerald-400',
+    missed: 'border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-slate-700/40',
+  }[status];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -12 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: index * 0.25 }}
+      className={`relative w-full max-w-[220px] rounded-lg border-2 px-3 py-2 shadow-sm ${boxClasses}`}
+    >
+      <div className="flex items-center gap-2">
+        <span className="text-xs font-semibold text-gray-700 dark:text-gray-200 truncate">
+          {level.label}
+        </span>
+        {status === 'found' && <Check className="ml-auto w-3.5 h-3.5 text-emerald-500 shrink-0" />}
+        {status === 'missed' && <X className="ml-auto w-3.5 h-3.5 text-gray-400 shrink-0" />}
+      </div>
+      <div className="mt-1 flex flex-wrap gap-1">
+        {shown.length === 0 && (
+          <span className="text-[10px] text-gray-400 dark:text-gray-500 italic">no own properties</span>
+        )}
+        {shown.map((key) => (
+          <span
+            key={key}
+            className={`text-[10px] font-mono px-1 rounded ${
+              key === property && status === 'found'
+                ? 'bg-emerald-500 text-white'
+                : 'bg-gray-200/70 dark:bg-slate-600 text-gray-600 dark:text-gray-300'
+            }`}
+          >
+            {key}
+          </span>
+        ))}
+        {hidden > 0 && (
+          <span className="text-[10px] text-gray-400 dark:text-gray-500">+{hidden}</span>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+function Connector({ index }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ delay: index * 0.25 + 0.15 }}
+      className="flex flex-col items-center py-0.5"
+    >
+      <div className="w-px h-2 bg-gray-300 dark:bg-gray-600" />
+      <span className="text-[9px] font-mono text-gray-400 dark:text-gray-500">[[Prototype]]</span>
+      <svg width="10" height="8" viewBox="0 0 10 8" className="text-gray-300 dark:text-gray-600">
+        <path d="M5 8L0 0h10z" fill="currentColor" />
+      </svg>
+    </motion.div>
+  );
+}
+
+export default function PrototypeChain({ lookup = null }) {
+  const found = lookup && lookup.foundAt >= 0;
+
+  return (
+    <div className="h-full flex flex-col rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-slate-800 overflow-hidden">
+      {/* Header */}
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-slate-800/80">
+        <GitFork className="w-4 h-4 text-emerald-500" />
+        <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+          Prototype Chain
+        </h3>
+        {lookup && (
+          <span className="ml-auto text-[10px] font-mono text-gray-500 dark:text-gray-400">
+            .{lookup.property}
+          </span>
+        )}
+      </div>
+
+      {/* Lookup walk */}
+      <div className="flex-1 overflow-y-auto p-3">
+        <AnimatePresence mode="wait">
+          {!lookup ? (
+            <motion.div
+              key="empty"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="h-full flex items-center justify-center"
+            >
+              <p className="text-xs text-gray-400 dark:text-gray-500 italic text-center">
+                No inherited property lookups yet
+              </p>
+            </motion.div>
+          ) : (
+            <motion.div
+              key={lookup.id}
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="flex flex-col items-center"
+            >
+              {lookup.chain.map((level, index) => {
+                const status = index === lookup.foundAt ? 'found' : 'missed';
+                return (
+                  <div key={index} className="flex flex-col items-center w-full">
+                    {index > 0 && <Connector index={index - 1} />}
+                    <ChainLevel level={level} index={index} property={lookup.property} status={status} />
+                  </div>
+                );
+              })}
+
+              {/* Walked off the end of the chain */}
+              {!found && (
+                <div className="flex flex-col items-center w-full">
+                  <Connector index={lookup.chain.length - 1} />
+                  <motion.div
+                    initial={{ opacity: 0, y: -12 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: lookup.chain.length * 0.25 }}
+                    className="px-3 py-1 rounded-lg border-2 border-dashed border-rose-300 dark:border-rose-700 text-[11px] font-mono text-rose-500"
+                  >
+                    null → undefined
+                  </motion.div>
+                </div>
+              )}
+
+              <motion.p
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ delay: (lookup.chain.length + 1) * 0.25 }}
+                className="mt-2 text-[10px] text-gray-500 dark:text-gray-400 text-center"
+              >
+                {found
+                  ? `Found "${lookup.property}" ${lookup.foundAt} link${lookup.foundAt === 1 ? '' : 's'} up the chain`
+                  : `"${lookup.property}" is not on the chain`}
+              </motion.p>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+}
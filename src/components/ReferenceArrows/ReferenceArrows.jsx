@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Panels re-lay out with spring animations; measure again once they settle
+const SETTLE_DELAYS = [250, 600];
+
+// Where an element sits relative to the overlay, or null when it is hidden or scrolled out of view
+function visibleRect(el, origin) {
+  const rect = el.getBoundingClientRect();
+  if (rect.width === 0 && rect.height === 0) return null;
+
+  const scroller = el.closest('.overflow-y-auto');
+  if (scroller) {
+    const bounds = scroller.getBoundingClientRect();
+    if (rect.bottom < bounds.top || rect.top > bounds.bottom) return null;
+  }
+
+  return {
+    left: rect.left - origin.left,
+    right: rect.right - origin.left,
+    top: rect.top - origin.top,
+    bottom: rect.bottom - origin.top,
+  };
+}
+
+// A curve from a reference dot to its heap card: straight in from the left when the
+// card is to the right, otherwise looping out past the card's right edge
+function arrowPath(from, to) {
+  const sx = (from.left + from.right) / 2;
+  const sy = (from.top + from.bottom) / 2;
+  const ey = to.top + 12;
+
+  if (from.right < to.left) {
+    const ex = to.left;
+    const dx = (ex - sx) / 2;
+    return `M ${sx} ${sy} C ${sx + dx} ${sy}, ${ex - dx} ${ey}, ${ex} ${ey}`;
+  }
+
+  const ex = to.right;
+  const bulge = Math.max(sx, ex) + 28;
+  return `M ${sx} ${sy} C ${bulge} ${sy}, ${bulge} ${ey}, ${ex} ${ey}`;
+}
+
+/**
+ * SVG overlay drawing an arrow from every `[data-heap-ref]` dot (variables and
+ * object slots) inside `containerRef` to the `[data-heap-id]` card it refers to.
+ * Dots marked `data-heap-weak` get a dashed arrow.
+ */
+export default function ReferenceArrows({ containerRef, heap = [], scopes = [] }) {
+  const [arrows, setArrows] = useState([]);
+
+  const measure = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const origin = container.getBoundingClientRect();
+
+    const next = [];
+    container.querySelectorAll('[data-heap-ref]').forEach((anchor, index) => {
+      const card = container.querySelector(`[data-heap-id="${anchor.dataset.heapRef}"]`);
+      const from = visibleRect(anchor, origin);
+      const to = card && visibleRect(card, origin);
+      if (from && to) next.push({ key: index, d: arrowPath(from, to), weak: 'heapWeak' in anchor.dataset });
+    });
+    setArrows(next);
+  }, [containerRef]);
+
+  // Re-measure whenever the step changes what is drawn
+  useEffect(() => {
+    measure();
+    const timers = SETTLE_DELAYS.map((delay) => setTimeout(measure, delay));
+    return () => timers.forEach(clearTimeout);
+  }, [heap, scopes, measure]);
+
+  // ...and whenever a panel scrolls or the window resizes
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    let frame = null;
+    const schedule = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          measure();
+        });
+      }
+    };
+
+    container.addEventListener('scroll', schedule, true);
+    window.addEventListener('resize', schedule);
+    return () => {
+      container.removeEventListener('scroll', schedule, true);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [containerRef, measure]);
+
+  return (
+    <svg className="pointer-events-none absolute inset-0 w-full h-full z-10 overflow-visible text-indigo-500/70 dark:text-indigo-400/70">
+      <defs>
+        <marker id="heap-ref-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+          <path d="M0 0L8 4L0 8z" fill="currentColor" />
+        </marker>
+      </defs>
+      {arrows.map((arrow) => (
+        <path
+          key={arrow.key}
+          d={arrow.d}
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="1.5"
+          strokeDasharray={arrow.weak ? '4 3' : undefined}
+          markerEnd="url(#heap-ref-arrow)"
+        />
+      ))}
+    </svg>
+  );
+}
@@ -9,19 +9,28 @@ import {
   Clock,
   AlertCircle,
   PlayCircle,
+  PauseCircle,
   Info,
+  ArrowUpToLine,
+  Trash2,
 } from 'lucide-react';
 
 const typeConfig = {
   variable: { icon: Variable, color: 'text-blue-500', bg: 'bg-blue-50 dark:bg-blue-900/20' },
+  hoisting: { icon: ArrowUpToLine, color: 'text-violet-500', bg: 'bg-violet-50 dark:bg-violet-900/20' },
   'function-call': { icon: FunctionSquare, color: 'text-purple-500', bg: 'bg-purple-50 dark:bg-purple-900/20' },
   'function-return': { icon: ArrowRight, color: 'text-purple-400', bg: 'bg-purple-50 dark:bg-purple-900/20' },
   loop: { icon: Repeat, color: 'text-emerald-500', bg: 'bg-emerald-50 dark:bg-emerald-900/20' },
   conditional: { icon: ArrowRight, color: 'text-amber-500', bg: 'bg-amber-50 dark:bg-amber-900/20' },
   'console-log': { icon: MessageSquare, color: 'text-green-500', bg: 'bg-green-50 dark:bg-green-900/20' },
   promise: { icon: Zap, color: 'text-violet-500', bg: 'bg-violet-50 dark:bg-violet-900/20' },
+  'await-suspend': { icon: PauseCircle, color: 'text-fuchsia-500', bg: 'bg-fuchsia-50 dark:bg-fuchsia-900/20' },
+  'await-resume': { icon: PlayCircle, color: 'text-fuchsia-500', bg: 'bg-fuchsia-50 dark:bg-fuchsia-900/20' },
+  yield: { icon: PauseCircle, color: 'text-teal-500', bg: 'bg-teal-50 dark:bg-teal-900/20' },
   timeout: { icon: Clock, color: 'text-orange-500', bg: 'bg-orange-50 dark:bg-orange-900/20' },
   error: { icon: AlertCircle, color: 'text-red-500', bg: 'bg-red-50 dark:bg-red-900/20' },
+  gc: { icon: Trash2, color: 'text-slate-500', bg: 'bg-slate-100 dark:bg-slate-700/50' },
+  'unhandled-rejection': { icon: AlertCircle, color: 'text-rose-500', bg: 'bg-rose-50 dark:bg-rose-900/20' },
   start: { icon: PlayCircle, color: 'text-cyan-500', bg: 'bg-cyan-50 dark:bg-cyan-900/20' },
   default: { icon: Info, color: 'text-gray-500', bg: 'bg-gray-50 dark:bg-gray-700/50' },
 };
@@ -63,6 +72,17 @@ export default function StepDescription({ step }) {
                 >
                   {step.description || 'Executing...'}
                 </motion.p>
+                {/* Where an uncaught error was thrown, innermost frame first */}
+                {step.errorStack && step.errorStack.length > 0 && (
+                  <ol className="mt-1 mb-0.5 space-y-px text-[11px] font-mono text-red-600/80 dark:text-red-400/80">
+                    {step.errorStack.map((frame, index) => (
+                      <li key={index}>
+                        at {frame.name}
+                        {frame.line != null && <span className="text-gray-500 dark:text-gray-400"> (line {frame.line})</span>}
+                      </li>
+                    ))}
+                  </ol>
+                )}
                 {step.type && (
                   <span className={`text-[10px] font-medium uppercase tracking-wider ${config.color} opacity-70`}>
                     {step.type.replace('-', ' ')}
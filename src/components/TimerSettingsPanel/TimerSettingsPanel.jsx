@@ -0,0 +1,99 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Timer } from 'lucide-react';
+
+// Engine options the panel edits; every value is a positive whole number
+const fields = [
+  {
+    key: 'maxIntervalFirings',
+    label: 'Interval cap',
+    unit: 'runs',
+    hint: 'A setInterval is stopped after this many runs, so runaway intervals end before the step limit',
+  },
+  {
+    key: 'frameInterval',
+    label: 'Frame interval',
+    unit: 'ms',
+    hint: 'Virtual time between rendering opportunities, where requestAnimationFrame callbacks run',
+  },
+  {
+    key: 'maxAnimationFrames',
+    label: 'Frame cap',
+    unit: 'frames',
+    hint: 'Rendering stops after this many frames, so a self-scheduling animation loop ends',
+  },
+];
+
+export default function TimerSettingsPanel({ isOpen, onClose, options = {}, onChange }) {
+  const updateOption = (key, value) => {
+    onChange({ ...options, [key]: Math.max(1, Math.floor(value) || 1) });
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-50 flex justify-end">
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="absolute inset-0 bg-black/30"
+          />
+
+          {/* Side panel */}
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'spring', stiffness: 400, damping: 40 }}
+            className="relative w-full max-w-md h-full flex flex-col bg-white dark:bg-slate-800 shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-slate-800/80">
+              <Timer className="w-4 h-4 text-amber-500" />
+              <div>
+                <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+                  Timer Settings
+                </h3>
+                <p className="text-[10px] text-gray-400 dark:text-gray-500">
+                  Limits of the virtual clock, applied on the next run
+                </p>
+              </div>
+              <button
+                onClick={onClose}
+                className="ml-auto w-7 h-7 rounded-lg hover:bg-gray-200 dark:hover:bg-slate-700 flex items-center justify-center transition-colors"
+                aria-label="Close timer settings"
+              >
+                <X className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+              </button>
+            </div>
+
+            {/* Settings */}
+            <div className="flex-1 overflow-y-auto p-3 space-y-2">
+              {fields.map((field) => (
+                <div
+                  key={field.key}
+                  className="rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 p-2.5 space-y-1"
+                >
+                  <label className="flex items-center gap-2 text-xs text-gray-700 dark:text-gray-200">
+                    <span className="flex-1">{field.label}</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={options[field.key]}
+                      onChange={(e) => updateOption(field.key, Number(e.target.value))}
+                      className="w-16 text-xs font-mono px-1.5 py-0.5 rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200"
+                    />
+                    <span className="w-10 text-[10px] text-gray-500 dark:text-gray-400">{field.unit}</span>
+                  </label>
+                  <p className="text-[10px] text-gray-400 dark:text-gray-500">{field.hint}</p>
+                </div>
+              ))}
+            </div>
+          </motion.aside>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useRef, useEffect } from 'react';
+import { Fragment, useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ClipboardList, ChevronDown, ChevronRight } from 'lucide-react';
 
@@ -8,7 +8,11 @@ const scopeColors = {
   block: { accent: 'border-l-emerald-500', badge: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300' },
 };
 
+// let/const/class bindings that are hoisted but not yet declared (the TDZ)
+const UNINITIALIZED = '<uninitialized>';
+
 function getValueColor(value) {
+  if (value === UNINITIALIZED) return 'text-rose-400 dark:text-rose-500 italic';
   if (value === undefined) return 'text-gray-400 dark:text-gray-500';
   if (value === null) return 'text-gray-400 dark:text-gray-500';
   if (typeof value === 'number') return 'text-blue-600 dark:text-blue-400';
@@ -21,6 +25,7 @@ function getValueColor(value) {
 }
 
 function formatValue(value) {
+  if (value === UNINITIALIZED) return value;
   if (value === undefined) return 'undefined';
   if (value === null) return 'null';
   if (typeof value === 'string') return `"${value}"`;
@@ -35,10 +40,54 @@ function formatValue(value) {
   return String(value);
 }
 
-function ScopeSection({ scope, defaultOpen = true, previousVariables }) {
+const accessClasses = {
+  read: 'bg-violet-100 dark:bg-violet-900/30 ring-1 ring-violet-400',
+  write: 'bg-fuchsia-100 dark:bg-fuchsia-900/30 ring-1 ring-fuchsia-400',
+};
+
+// How the running closure touched `name` in the scope with this env id this step, if at all
+function accessOf(accesses, scopeId, name) {
+  const access = accesses.find((a) => a.scopeId === scopeId && a.name === name);
+  return access ? access.kind : null;
+}
+
+// The outer variables a function value actually uses, by the scope they live in
+function ClosureScopes({ groups, accesses }) {
+  return (
+    <div className="ml-4 mb-1 rounded border border-dashed border-purple-300 dark:border-purple-700 px-2 py-1">
+      <div className="text-[9px] font-mono text-purple-500 dark:text-purple-400">[[Scopes]]</div>
+      {groups.map((group) => (
+        <div key={group.scopeId} className="mt-0.5">
+          <div className="text-[10px] text-gray-500 dark:text-gray-400 truncate">
+            Closure ({group.name})
+          </div>
+          {Object.entries(group.variables).map(([name, value]) => {
+            const access = accessOf(accesses, group.scopeId, name);
+            return (
+              <div
+                key={name}
+                className={`flex items-baseline gap-1.5 pl-2 rounded text-[11px] font-mono transition-colors ${
+                  access ? accessClasses[access] : ''
+                }`}
+              >
+                <span className="text-gray-600 dark:text-gray-400 shrink-0">{name}</span>
+                <span className="text-gray-400">=</span>
+                <span className={`${getValueColor(value)} truncate`}>{formatValue(value)}</span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ScopeSection({ scope, defaultOpen = true, previousVariables, closureAccesses }) {
   const [isOpen, setIsOpen] = useState(defaultOpen);
   const colors = scopeColors[scope.type] || scopeColors.global;
   const variables = scope.variables || {};
+  const refs = scope.refs || {};
+  const closures = scope.closures || {};
   const varEntries = Object.entries(variables);
 
   return (
@@ -81,40 +130,56 @@ function ScopeSection({ scope, defaultOpen = true, previousVariables }) {
                   {varEntries.map(([name, value]) => {
                     const prevValue = previousVariables?.[name];
                     const hasChanged = previousVariables != null && prevValue !== value;
+                    // Read or written by a closure running in a scope further in
+                    const access = accessOf(closureAccesses, scope.id, name);
 
                     return (
-                      <motion.div
-                        key={name}
-                        layout
-                        className={`flex items-baseline gap-1.5 py-0.5 px-2 rounded text-xs font-mono transition-colors ${
-                          hasChanged
-                            ? 'bg-yellow-100 dark:bg-yellow-900/30'
-                            : 'hover:bg-gray-100 dark:hover:bg-slate-600/30'
-                        }`}
-                      >
-                        <span className="text-gray-600 dark:text-gray-400 shrink-0">
-                          {name}
-                        </span>
-                        <span className="text-gray-400">=</span>
-                        <motion.span
-                          key={String(value)}
-                          initial={hasChanged ? { scale: 1.2, backgroundColor: 'rgba(250, 204, 21, 0.3)' } : false}
-                          animate={{ scale: 1, backgroundColor: 'rgba(250, 204, 21, 0)' }}
-                          transition={{ duration: 0.5 }}
-                          className={`${getValueColor(value)} truncate`}
+                      <Fragment key={name}>
+                        <motion.div
+                          layout
+                          className={`flex items-baseline gap-1.5 py-0.5 px-2 rounded text-xs font-mono transition-colors ${
+                            access
+                              ? accessClasses[access]
+                              : hasChanged
+                              ? 'bg-yellow-100 dark:bg-yellow-900/30'
+                              : 'hover:bg-gray-100 dark:hover:bg-slate-600/30'
+                          }`}
                         >
-                          {formatValue(value)}
-                        </motion.span>
-                        {hasChanged && (
+                          <span className="text-gray-600 dark:text-gray-400 shrink-0">
+                            {name}
+                          </span>
+                          <span className="text-gray-400">=</span>
                           <motion.span
-                            initial={{ opacity: 0, scale: 0 }}
-                            animate={{ opacity: 1, scale: 1 }}
-                            className="text-yellow-500 text-[10px] ml-auto shrink-0"
+                            key={String(value)}
+                            initial={hasChanged ? { scale: 1.2, backgroundColor: 'rgba(250, 204, 21, 0.3)' } : false}
+                            animate={{ scale: 1, backgroundColor: 'rgba(250, 204, 21, 0)' }}
+                            transition={{ duration: 0.5 }}
+                            className={`${getValueColor(value)} truncate`}
                           >
-                            ●
+                            {formatValue(value)}
                           </motion.span>
+                          {hasChanged && (
+                            <motion.span
+                              initial={{ opacity: 0, scale: 0 }}
+                              animate={{ opacity: 1, scale: 1 }}
+                              className="text-yellow-500 text-[10px] ml-auto shrink-0"
+                            >
+                              ●
+                            </motion.span>
+                          )}
+                          {/* Object values are references — an arrow runs from here to the heap card */}
+                          {refs[name] != null && (
+                            <span
+                              data-heap-ref={refs[name]}
+                              title={`→ heap #${refs[name]}`}
+                              className={`${hasChanged ? '' : 'ml-auto'} self-center w-2 h-2 rounded-full bg-indigo-500 dark:bg-indigo-400 shrink-0`}
+                            />
+                          )}
+                        </motion.div>
+                        {closures[name] && (
+                          <ClosureScopes groups={closures[name]} accesses={closureAccesses} />
                         )}
-                      </motion.div>
+                      </Fragment>
                     );
                   })}
                 </div>
@@ -127,7 +192,7 @@ function ScopeSection({ scope, defaultOpen = true, previousVariables }) {
   );
 }
 
-export default function VariablePanel({ scopes = [], previousScopes }) {
+export default function VariablePanel({ scopes = [], previousScopes, closureAccesses = [] }) {
   return (
     <div className="h-full flex flex-col rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-slate-800 overflow-hidden">
       {/* Header */}
@@ -158,6 +223,7 @@ export default function VariablePanel({ scopes = [], previousScopes }) {
                 scope={scope}
                 defaultOpen={index === 0}
                 previousVariables={prevScope?.variables}
+                closureAccesses={closureAccesses}
               />
             );
           })
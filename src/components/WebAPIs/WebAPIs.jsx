@@ -13,7 +13,7 @@ function getTypeConfig(type) {
   return typeConfig[type] || typeConfig.default;
 }
 
-export default function WebAPIs({ apis = [] }) {
+export default function WebAPIs({ apis = [], virtualTime = 0 }) {
   return (
     <div className="h-full flex flex-col rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-slate-800 overflow-hidden">
       {/* Header */}
@@ -25,6 +25,12 @@ export default function WebAPIs({ apis = [] }) {
         <span className="ml-auto text-xs text-gray-400 dark:text-gray-500">
           {apis.length} active
         </span>
+        <span
+          className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-teal-100 dark:bg-teal-900/40 text-teal-700 dark:text-teal-300"
+          title="Virtual clock"
+        >
+          t = {virtualTime}ms
+        </span>
       </div>
 
       {/* API Cards */}
@@ -47,6 +53,9 @@ export default function WebAPIs({ apis = [] }) {
               {apis.map((api) => {
                 const config = getTypeConfig(api.type);
                 const Icon = config.icon;
+                // Time left on the virtual clock; the bar fills as it runs down
+                const remaining = api.dueTime != null ? Math.max(0, api.dueTime - virtualTime) : null;
+                const progress = remaining != null && api.delay > 0 ? ((api.delay - remaining) / api.delay) * 100 : 100;
 
                 return (
                   <motion.div
@@ -75,12 +84,17 @@ export default function WebAPIs({ apis = [] }) {
                               <span className="text-[10px] text-gray-400">
                                 {api.delay}ms
                               </span>
+                              {remaining != null && (
+                                <span className="text-[10px] font-mono text-gray-500 dark:text-gray-400">
+                                  {remaining}ms left
+                                </span>
+                              )}
                             </div>
                             <div className="w-full h-1 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
                               <motion.div
                                 initial={{ width: '0%' }}
-                                animate={{ width: '100%' }}
-                                transition={{ duration: api.delay / 1000, ease: 'linear' }}
+                                animate={{ width: `${progress}%` }}
+                                transition={{ duration: 0.3, ease: 'linear' }}
                                 className={`h-full rounded-full ${
                                   api.type === 'fetch' ? 'bg-blue-500' : 'bg-orange-500'
                                 }`}
@@ -0,0 +1,97 @@
+/**
+ * Keyed collections. User code gets native Map and Set, and the subclasses
+ * below for WeakMap and WeakSet: native weak collections cannot be
+ * enumerated, so each one keeps a shadow list of its entries for the heap
+ * view. The shadow is invisible to the garbage collector's mark phase, which
+ * prunes it once a key is no longer reachable from anywhere else.
+ */
+
+const shadows = new WeakMap() // collection → Map of key → value (WeakSet members map to true)
+
+// Created lazily: the native constructor adds initial entries through set()/add() before ours can run
+function shadowOf(collection) {
+  let shadow = shadows.get(collection)
+  if (!shadow) {
+    shadow = new Map()
+    shadows.set(collection, shadow)
+  }
+  return shadow
+}
+
+// get() and has() only delegate, but defining them here means a lookup stops at
+// the first prototype instead of walking on to the native one of the same name
+export const TracedWeakMap = class WeakMap extends globalThis.WeakMap {
+  set(key, value) {
+    super.set(key, value)
+    shadowOf(this).set(key, value)
+    return this
+  }
+
+  get(key) {
+    return super.get(key)
+  }
+
+  has(key) {
+    return super.has(key)
+  }
+
+  delete(key) {
+    shadowOf(this).delete(key)
+    return super.delete(key)
+  }
+}
+
+export const TracedWeakSet = class WeakSet extends globalThis.WeakSet {
+  add(value) {
+    super.add(value)
+    shadowOf(this).set(value, true)
+    return this
+  }
+
+  has(value) {
+    return super.has(value)
+  }
+
+  delete(value) {
+    shadowOf(this).delete(value)
+    return super.delete(value)
+  }
+}
+
+const brands = [['map', Map], ['set', Set], ['weakmap', WeakMap], ['weakset', WeakSet]]
+
+/**
+ * 'map', 'set', 'weakmap' or 'weakset' for a real collection, otherwise null.
+ * A brand check rather than instanceof: the prototype of a class extending
+ * Map inherits from Map.prototype but holds no entries of its own.
+ */
+export function collectionType(value) {
+  if (value === null || typeof value !== 'object') return null
+  for (const [type, Ctor] of brands) {
+    // Cheap filter first: a failed brand check throws, and most values are plain objects
+    if (!(value instanceof Ctor)) continue
+    try {
+      Ctor.prototype.has.call(value)
+      return type
+    } catch {
+      // not this kind of collection
+    }
+  }
+  return null
+}
+
+export function isWeakCollection(value) {
+  const type = collectionType(value)
+  return type === 'weakmap' || type === 'weakset'
+}
+
+/** The [key, value] pairs a weak collection holds, in insertion order */
+export function weakEntries(collection) {
+  const shadow = shadows.get(collection)
+  return shadow ? [...shadow] : []
+}
+
+/** Forget an entry the garbage collector found unreachable, as the engine clears it on its own */
+export function dropWeakEntry(collection, key) {
+  shadows.get(collection)?.delete(key)
+}
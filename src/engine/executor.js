@@ -1,5 +1,8 @@
 import { generateTrace } from './instrumenter.js'
 
+// Defaults of the timer options, for settings the UI lets the user change
+export { MAX_INTERVAL_FIRINGS, FRAME_INTERVAL, MAX_ANIMATION_FRAMES } from './instrumenter.js'
+
 /**
  * Execute JavaScript code and return the full execution trace.
  *
@@ -8,13 +11,16 @@ import { generateTrace } from './instrumenter.js'
  * step-by-step trace of everything that happens at runtime.
  *
  * @param {string} code - JavaScript source code to execute and trace
+ * @param {object} [options] - Engine options, passed through to generateTrace
  * @returns {{ steps: Array, error: string|null }}
  *   - steps: Array of trace step objects, each containing:
  *       { line, type, description, callStack, scopes, consoleOutput,
- *         webApis, callbackQueue, microtaskQueue, memoryHeap, eventLoopPhase }
+ *         webApis, callbackQueue, microtaskQueue, animationFrameQueue, memoryHeap,
+ *         eventLoopPhase, virtualTime, prototypeLookup, heapFocus, closureAccesses }
+ *       Error steps add errorStack: [{ name, line }], innermost frame first
  *   - error: Error message string if execution failed, null otherwise
  */
-export function executeCode(code) {
+export function executeCode(code, options = {}) {
   if (!code || typeof code !== 'string' || code.trim().length === 0) {
     return {
       steps: [],
@@ -23,7 +29,7 @@ export function executeCode(code) {
   }
 
   try {
-    const steps = generateTrace(code)
+    const steps = generateTrace(code, options)
 
     // Safety check: if too many steps, truncate and warn
     if (steps.length > 1500) {
@@ -39,8 +45,13 @@ export function executeCode(code) {
         webApis: [],
         callbackQueue: [],
         microtaskQueue: [],
+        animationFrameQueue: [],
         memoryHeap: [],
-        eventLoopPhase: 'idle'
+        eventLoopPhase: 'idle',
+        virtualTime: 0,
+        prototypeLookup: null,
+        heapFocus: null,
+        closureAccesses: []
       })
     }
 
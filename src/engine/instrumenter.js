@@ -1,23 +1,51 @@
 import { parseCode } from './parser.js'
 import { createTracer } from './tracer.js'
+import { TracedWeakMap, TracedWeakSet, collectionType, isWeakCollection, weakEntries, dropWeakEntry } from './collections.js'
 
 const MAX_STEPS = 2000
+const MAX_CALL_DEPTH = 100
+export const MAX_INTERVAL_FIRINGS = 10
+export const FRAME_INTERVAL = 16
+export const MAX_ANIMATION_FRAMES = 10
+const FETCH_LATENCY = 100
 
 /**
  * Generate an execution trace for the given JavaScript code.
  * Uses an AST-walking interpreter approach for full control over execution tracking.
  *
  * @param {string} code - JavaScript source code to trace
+ * @param {object} [options]
+ * @param {number} [options.maxIntervalFirings] - Runs after which a setInterval is stopped
+ * @param {number} [options.frameInterval] - Virtual ms between requestAnimationFrame frames
+ * @param {number} [options.maxAnimationFrames] - Frames after which rendering stops
+ * @param {Array} [options.fetchMocks] - Mock responses for fetch(): { url, status, body, latency }
+ * @param {Array} [options.eventScript] - Scripted DOM events: { time, type, target, value }
+ * @param {'script'|'module'} [options.sourceType] - Parse and run as a classic script or an ES module (always strict)
  * @returns {Array} Array of trace step objects
  */
-export function generateTrace(code) {
+export function generateTrace(code, options = {}) {
   const tracer = createTracer()
+  const maxIntervalFirings = options.maxIntervalFirings ?? MAX_INTERVAL_FIRINGS
+  const frameInterval = options.frameInterval ?? FRAME_INTERVAL
+  const maxAnimationFrames = options.maxAnimationFrames ?? MAX_ANIMATION_FRAMES
+  const fetchMocks = options.fetchMocks || []
+  const eventScript = options.eventScript || []
+  const isModule = options.sourceType === 'module'
   let stepCount = 0
   let webApiIdCounter = 1
 
   // Pending async work
-  const pendingTimers = []    // { id, label, delay, callbackNode, closureEnv }
-  const pendingMicrotasks = [] // { label, callbackNode, closureEnv }
+  // Timers: { id, label, delay, dueTime, repeat, callback, args, firings }; network
+  // responses and scripted events carry a `source` and a `run` generator instead
+  const pendingTimers = []
+  const readyTimers = []      // timers whose callback waits in the Callback Queue
+  const activeTimers = new Map() // id → timer, until it has fired for good or is cleared
+  const pendingMicrotasks = [] // { label, run, holds }
+  const animationFrames = []  // { id, callback } waiting for the next frame
+  const pendingFrames = new Map() // id → frame callback, until it runs or is cancelled
+  let virtualTime = 0          // ms elapsed on the simulated clock
+  let lastFrameTime = 0
+  let framesRendered = 0
 
   function checkStepLimit() {
     if (stepCount >= MAX_STEPS) {
@@ -28,38 +56,112 @@ export function generateTrace(code) {
 
   // ─── Environment (scope chain) ────────────────────────────────────
 
+  let envIdCounter = 1
+
   function createEnv(parent = null, name = 'Global', type = 'global') {
     return {
+      id: envIdCounter++,
       name,
       type,
       vars: Object.create(null), // name → { value, kind }
       parent,
+      strict: parent ? parent.strict : false, // strict mode code, inherited lexically
+    }
+  }
+
+  /** Does a program or function body open with a 'use strict' directive? */
+  function hasUseStrict(body) {
+    const statements = Array.isArray(body) ? body : body && body.type === 'BlockStatement' ? body.body : []
+    for (const stmt of statements) {
+      if (stmt.type !== 'ExpressionStatement' || stmt.directive === undefined) return false
+      if (stmt.directive === 'use strict') return true
     }
+    return false
+  }
+
+  /** Value of a hoisted let/const/class binding until its declaration runs (the TDZ) */
+  const UNINITIALIZED = Object.freeze({ __uninitialized: true })
+
+  /** Build an error that remembers the source line it was thrown from */
+  function errorAt(ErrorClass, message, line) {
+    const err = new ErrorClass(message)
+    Object.defineProperty(err, '__line', { value: line })
+    return attachStack(err, line)
+  }
+
+  /**
+   * Give an Error the interpreter's stack trace — the traced frames, innermost
+   * first, each with the line it was on — in place of the host engine's.
+   * Errors keep the stack from where they were created, as in real JS; for a
+   * subclass instance that is where `new` was called, not inside its constructors.
+   * The header is read when the stack is, so a `name` set by the subclass shows up.
+   */
+  function attachStack(err, line, skipConstructors = false) {
+    if (!(err instanceof Error) || err instanceof StepLimitError || err.__frames) return err
+    let frames = tracer.captureStack(line)
+    if (skipConstructors) {
+      const first = frames.findIndex(f => !f.name.startsWith('new '))
+      frames = frames.slice(first === -1 ? frames.length : first)
+    }
+    const trace = frames.map(f => `    at ${f.name}${f.line != null ? ` (line ${f.line})` : ''}`)
+    Object.defineProperty(err, '__frames', { value: frames })
+    Object.defineProperty(err, 'stack', {
+      get() {
+        return [`${this.name}: ${this.message}`, ...trace].join('\n')
+      },
+      set(value) {
+        Object.defineProperty(this, 'stack', { value, writable: true, configurable: true })
+      },
+      configurable: true,
+    })
+    return err
   }
 
   function envDefine(env, name, value, kind = 'let') {
+    if (name in env.vars) noteDroppedValue(env.vars[name].value)
     env.vars[name] = { value, kind }
   }
 
-  function envSet(env, name, value) {
+  function envSet(env, name, value, line = null) {
     let current = env
+    let captured = false // walked out of the running function into a scope it closed over
     while (current) {
       if (name in current.vars) {
-        current.vars[name] = { ...current.vars[name], value }
+        const binding = current.vars[name]
+        if (binding.value === UNINITIALIZED) {
+          throw errorAt(ReferenceError, `Cannot access '${name}' before initialization`, line)
+        }
+        if (binding.kind === 'const') {
+          throw errorAt(TypeError, `Assignment to constant variable '${name}'`, line)
+        }
+        noteDroppedValue(binding.value)
+        current.vars[name] = { ...binding, value }
+        if (captured && current.type !== 'global') tracer.recordClosureAccess(current.id, name, 'write')
         return
       }
+      if (current.type === 'function') captured = true
       current = current.parent
     }
+    if (env.strict) {
+      throw errorAt(ReferenceError, `${name} is not defined — strict mode does not create implicit globals`, line)
+    }
     // If not found, define in global (like var in sloppy mode)
-    env.vars[name] = { value, kind: 'var' }
+    globalEnvOf(env).vars[name] = { value, kind: 'var' }
   }
 
-  function envGet(env, name) {
+  function envGet(env, name, line = null) {
     let current = env
+    let captured = false
     while (current) {
       if (name in current.vars) {
-        return current.vars[name].value
+        const { value } = current.vars[name]
+        if (value === UNINITIALIZED) {
+          throw errorAt(ReferenceError, `Cannot access '${name}' before initialization`, line)
+        }
+        if (captured && current.type !== 'global') tracer.recordClosureAccess(current.id, name, 'read')
+        return value
       }
+      if (current.type === 'function') captured = true
       current = current.parent
     }
     // Check for built-in globals
@@ -80,7 +182,19 @@ export function generateTrace(code) {
     if (name === 'Array') return Array
     if (name === 'Object') return Object
     if (name === 'JSON') return JSON
-    throw new Error(`${name} is not defined`)
+    if (name === 'Symbol') return Symbol
+    if (name === 'Map') return Map
+    if (name === 'Set') return Set
+    if (name === 'WeakMap') return TracedWeakMap
+    if (name === 'WeakSet') return TracedWeakSet
+    if (name === 'Promise') return promiseConstructor
+    if (name === 'document') return virtualDocument
+    if (name === 'Error') return Error
+    if (name === 'TypeError') return TypeError
+    if (name === 'ReferenceError') return ReferenceError
+    if (name === 'RangeError') return RangeError
+    if (name === 'SyntaxError') return SyntaxError
+    throw errorAt(ReferenceError, `${name} is not defined`, line)
   }
 
   function envHas(env, name) {
@@ -94,6 +208,8 @@ export function generateTrace(code) {
 
   // Sync tracer scopes with our environment chain
   function syncScopes(env) {
+    trackFrameEnv(env)
+
     // Rebuild tracer scopes from env chain
     const chain = []
     let current = env
@@ -111,14 +227,16 @@ export function generateTrace(code) {
     if (chain.length > 0) {
       const globalEnv = chain[0]
       for (const key of Object.keys(globalEnv.vars)) {
-        tracer.setVariable(key, globalEnv.vars[key].value, 0)
+        const { value } = globalEnv.vars[key]
+        tracer.setVariable(key, value, 0, describeClosure(value))
       }
     }
     // Enter additional scopes
     for (let i = 1; i < chain.length; i++) {
-      tracer.enterScope(chain[i].name, chain[i].type)
+      tracer.enterScope(chain[i].name, chain[i].type, chain[i].id)
       for (const key of Object.keys(chain[i].vars)) {
-        tracer.setVariable(key, chain[i].vars[key].value, i)
+        const { value } = chain[i].vars[key]
+        tracer.setVariable(key, value, i, describeClosure(value))
       }
     }
   }
@@ -137,11 +255,46 @@ export function generateTrace(code) {
     }
   }
 
+  /** Create a TracedFunction from a function AST node, carrying its async/generator flags */
+  function createFunction(node, env, name = node.id ? node.id.name : 'anonymous') {
+    const fn = new TracedFunction(name, node.params, node.body, env)
+    trackCapturedIterations(env)
+    fn.isAsync = node.async
+    fn.isGenerator = node.generator
+    fn.isArrow = node.type === 'ArrowFunctionExpression'
+    fn.strict = env.strict || hasUseStrict(node.body)
+    // Ordinary functions can be constructors, so they get their own prototype object
+    if (node.type !== 'ArrowFunctionExpression' && !node.async && !node.generator) {
+      fn.prototype = {}
+      Object.defineProperty(fn.prototype, 'constructor', { value: fn, writable: true, configurable: true })
+    }
+    return fn
+  }
+
   // Make TracedFunction toString work
   TracedFunction.prototype.toString = function () {
     return `function ${this.name}() { [user code] }`
   }
 
+  /** The `let` bindings a per-iteration for-loop scope holds, as a plain object */
+  function iterationBindings(env) {
+    return Object.fromEntries(env.perIterationLets.map(name => [name, env.vars[name].value]))
+  }
+
+  /**
+   * A function created inside a `for (let ...)` loop closes over that
+   * iteration's own scope: give each captured iteration a heap card so the
+   * separate bindings stay visible after the loop moves on.
+   */
+  function trackCapturedIterations(env) {
+    for (let scope = env; scope && scope.type === 'block'; scope = scope.parent) {
+      if (scope.perIterationLets && !scope.heapId) {
+        scope.heapCard = iterationBindings(scope)
+        scope.heapId = tracer.allocateHeap(scope.heapCard, `${scope.name} — captured by a closure`)
+      }
+    }
+  }
+
   /** Special sentinel for return values */
   class ReturnSignal {
     constructor(value) {
@@ -149,11 +302,61 @@ export function generateTrace(code) {
     }
   }
 
-  /** Special sentinel for break */
-  class BreakSignal {}
+  /** Yielded by evaluators to suspend the enclosing coroutine (e.g. at `await`) */
+  class SuspendSignal {
+    constructor(kind, value, line) {
+      this.kind = kind
+      this.value = value
+      this.line = line
+    }
+  }
+
+  /** Special sentinel for break; `label` is set for `break label` */
+  class BreakSignal {
+    constructor(label = null) {
+      this.label = label
+    }
+  }
+
+  /** Special sentinel for continue; `label` is set for `continue label` */
+  class ContinueSignal {
+    constructor(label = null) {
+      this.label = label
+    }
+  }
+
+  /** Raised when a `?.` link meets null/undefined; the enclosing chain turns it into `undefined` */
+  class ShortCircuitSignal {
+    constructor(node, value) {
+      this.node = node   // the expression before the `?.`
+      this.value = value
+    }
+  }
+
+  /**
+   * What a loop labeled `labels` does with its body's completion: 'break',
+   * 'continue', or 'exit' to pass it outward (a return, or a labeled jump
+   * aimed at an enclosing statement).
+   */
+  function loopControl(result, labels) {
+    if (result instanceof BreakSignal) return !result.label || labels.includes(result.label) ? 'break' : 'exit'
+    if (result instanceof ContinueSignal) return !result.label || labels.includes(result.label) ? 'continue' : 'exit'
+    if (result instanceof ReturnSignal) return 'exit'
+    return 'continue'
+  }
 
-  /** Special sentinel for continue */
-  class ContinueSignal {}
+  /**
+   * Drive an interpreter generator to completion from plain (native) code.
+   * Evaluators only yield to suspend an async function body, and those are
+   * always driven by their own coroutine, so a yield reaching here is a bug.
+   */
+  function runSync(gen) {
+    const { value, done } = gen.next()
+    if (!done) {
+      throw new Error('Cannot suspend execution here (await outside an async function?)')
+    }
+    return value
+  }
 
   class StepLimitError extends Error {
     constructor(msg) {
@@ -164,23 +367,30 @@ export function generateTrace(code) {
 
   // Format a value for display in step descriptions
   function fmt(val) {
-    if (val instanceof TracedFunction) return `ƒ ${val.name}()`
+    if (val instanceof TracedFunction) return val.isClassConstructor ? `class ${val.name}` : `ƒ ${val.name}()`
     return tracer.formatValue(val)
   }
 
   // ─── AST Node Evaluators ──────────────────────────────────────────
 
-  function execProgram(node, env) {
+  function* execProgram(node, env) {
+    const body = isModule ? node.body.map(moduleItem) : node.body
+    env.strict = isModule || hasUseStrict(body)
+
     // First pass: hoist function declarations and var declarations
-    hoistDeclarations(node.body, env)
+    hoistDeclarations(body, env)
     syncScopes(env)
 
     tracer.pushCall('main()', 1)
-    tracer.addStep(1, 'start', 'Program execution started')
+    if (isModule) tracer.setFrameThis(undefined, 'global', 'module code — top-level `this` is undefined')
+    else tracer.setFrameThis(createGlobalThisProxy(env), 'global', 'top-level code — `this` is the global object')
+    const mode = isModule ? ' as a module (strict mode)' : env.strict ? ' in strict mode' : ''
+    tracer.addStep(1, 'start', `Program execution started${mode}`)
+    announceHoisting(body, env)
 
     let result
-    for (const stmt of node.body) {
-      result = execStatement(stmt, env)
+    for (const stmt of body) {
+      result = yield* execStatement(stmt, env)
       if (result instanceof ReturnSignal) break
     }
 
@@ -191,23 +401,84 @@ export function generateTrace(code) {
     return result
   }
 
+  /**
+   * A module runs on its own here: `export` only declares the binding, and
+   * there is no other module to `import` from.
+   */
+  function moduleItem(node) {
+    const line = node.loc ? node.loc.start.line : null
+    switch (node.type) {
+      case 'ImportDeclaration':
+        throw errorAt(SyntaxError, `Cannot import from '${node.source.value}' — only a single module can be visualized`, line)
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+        return node.declaration || { type: 'EmptyStatement', loc: node.loc }
+      case 'ExportDefaultDeclaration': {
+        const decl = node.declaration
+        if (decl.id) return decl
+        const type = { FunctionDeclaration: 'FunctionExpression', ClassDeclaration: 'ClassExpression' }[decl.type] || decl.type
+        return { type: 'ExpressionStatement', expression: { ...decl, type }, loc: node.loc }
+      }
+      default:
+        return node
+    }
+  }
+
   function hoistDeclarations(body, env) {
     for (const node of body) {
       if (node.type === 'FunctionDeclaration' && node.id) {
-        const fn = new TracedFunction(
-          node.id.name,
-          node.params,
-          node.body,
-          env
-        )
+        const fn = createFunction(node, env)
         envDefine(env, node.id.name, fn, 'function')
       }
+      if (node.type === 'ClassDeclaration' && node.id) {
+        envDefine(env, node.id.name, UNINITIALIZED, 'let')
+      }
+      if (node.type === 'VariableDeclaration' && node.kind !== 'var') {
+        // let/const exist from the top of the block but can't be touched until declared
+        for (const decl of node.declarations) {
+          for (const name of patternNames(decl.id)) {
+            envDefine(env, name, UNINITIALIZED, node.kind)
+          }
+        }
+      }
       if (node.type === 'VariableDeclaration' && node.kind === 'var') {
         for (const decl of node.declarations) {
-          if (decl.id && decl.id.type === 'Identifier') {
+          for (const name of patternNames(decl.id)) {
             // Check if variable already exists in THIS scope (not parent scopes)
-            if (!(decl.id.name in env.vars)) {
-              envDefine(env, decl.id.name, undefined, 'var')
+            if (!(name in env.vars)) {
+              envDefine(env, name, undefined, 'var')
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Creation phase: one step per binding hoistDeclarations() set up, in
+   * source order, so the editor can highlight each declaration as it is lifted.
+   */
+  function announceHoisting(body, env) {
+    const announced = new Set()
+    const announce = (node, name, description) => {
+      if (announced.has(name)) return
+      announced.add(name)
+      syncScopes(env)
+      tracer.addStep(node.loc ? node.loc.start.line : null, 'hoisting', description)
+    }
+
+    for (const node of body) {
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        announce(node, node.id.name, `Hoisting: function ${node.id.name} → ƒ — the whole function is lifted, so it can be called before this line`)
+      } else if (node.type === 'ClassDeclaration' && node.id) {
+        announce(node, node.id.name, `Hoisting: class ${node.id.name} → <uninitialized> — in the TDZ until its declaration runs`)
+      } else if (node.type === 'VariableDeclaration') {
+        for (const decl of node.declarations) {
+          for (const name of patternNames(decl.id)) {
+            if (node.kind === 'var') {
+              announce(decl, name, `Hoisting: var ${name} → ${fmt(env.vars[name].value)} — the name is lifted, the assignment stays put`)
+            } else {
+              announce(decl, name, `Hoisting: ${node.kind} ${name} → <uninitialized> — in the TDZ until its declaration runs`)
             }
           }
         }
@@ -215,79 +486,88 @@ export function generateTrace(code) {
     }
   }
 
-  function execStatement(node, env) {
+  function* execStatement(node, env) {
     if (!node) return undefined
     checkStepLimit()
 
+    // Values produced by calls stay alive until the statement that asked for them is done
+    const temporaries = []
+    statementTemporaries.push(temporaries)
+    let result
+    try {
+      result = yield* execStatementNode(node, env)
+    } catch (err) {
+      // The innermost statement still sees every frame the error escapes from
+      if (err instanceof Error && err.__line === undefined) {
+        Object.defineProperty(err, '__line', { value: node.loc ? node.loc.start.line : null })
+      }
+      throw attachStack(err, err && err.__line !== undefined ? err.__line : null)
+    } finally {
+      statementTemporaries.splice(statementTemporaries.lastIndexOf(temporaries), 1)
+      if (temporaries.length > 0) referencesDropped = true
+    }
+    collectGarbage(env, node.loc ? node.loc.end.line : null)
+    return result
+  }
+
+  function* execStatementNode(node, env) {
     switch (node.type) {
       case 'VariableDeclaration':
-        return execVariableDeclaration(node, env)
+        return yield* execVariableDeclaration(node, env)
       case 'ExpressionStatement':
-        return execExpressionStatement(node, env)
+        return yield* execExpressionStatement(node, env)
       case 'FunctionDeclaration':
         return execFunctionDeclaration(node, env)
       case 'ReturnStatement':
-        return execReturnStatement(node, env)
+        return yield* execReturnStatement(node, env)
       case 'IfStatement':
-        return execIfStatement(node, env)
+        return yield* execIfStatement(node, env)
       case 'ForStatement':
-        return execForStatement(node, env)
+        return yield* execForStatement(node, env)
       case 'WhileStatement':
-        return execWhileStatement(node, env)
+        return yield* execWhileStatement(node, env)
       case 'DoWhileStatement':
-        return execDoWhileStatement(node, env)
+        return yield* execDoWhileStatement(node, env)
       case 'BlockStatement':
-        return execBlockStatement(node, env)
+        return yield* execBlockStatement(node, env)
       case 'SwitchStatement':
-        return execSwitchStatement(node, env)
+        return yield* execSwitchStatement(node, env)
       case 'BreakStatement':
-        return new BreakSignal()
       case 'ContinueStatement':
-        return new ContinueSignal()
+        return execJumpStatement(node, env)
+      case 'LabeledStatement':
+        return yield* execLabeledStatement(node, env)
       case 'ForOfStatement':
       case 'ForInStatement':
-        return execForOfInStatement(node, env)
+        return yield* execForOfInStatement(node, env)
       case 'ThrowStatement':
-        return execThrowStatement(node, env)
+        return yield* execThrowStatement(node, env)
       case 'TryStatement':
-        return execTryStatement(node, env)
+        return yield* execTryStatement(node, env)
+      case 'ClassDeclaration':
+        return yield* execClassDeclaration(node, env)
       case 'EmptyStatement':
         return undefined
       default:
         // Try to evaluate as expression
-        return evalExpression(node, env)
+        return yield* evalExpression(node, env)
     }
   }
 
-  function execVariableDeclaration(node, env) {
+  function* execVariableDeclaration(node, env) {
     const line = node.loc ? node.loc.start.line : null
     const kind = node.kind // let, const, var
 
     for (const decl of node.declarations) {
-      const name = decl.id.type === 'Identifier' ? decl.id.name : '?'
-      const value = decl.init ? evalExpression(decl.init, env) : undefined
-
-      if (kind === 'var') {
-        // var was already hoisted, just assign
-        envSet(env, name, value)
-      } else {
-        envDefine(env, name, value, kind)
-      }
-
-      // Allocate heap for objects/arrays
-      if (value !== null && typeof value === 'object' && !(value instanceof TracedFunction)) {
-        tracer.allocateHeap(value, name)
-      }
-
-      syncScopes(env)
-      tracer.addStep(line, 'variable', `Declared ${kind} ${name} = ${fmt(value)}`)
+      const value = decl.init ? (yield* evalExpression(decl.init, env)) : undefined
+      yield* bindPattern(decl.id, value, env, kind, line)
     }
     return undefined
   }
 
-  function execExpressionStatement(node, env) {
+  function* execExpressionStatement(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const value = evalExpression(node.expression, env)
+    const value = yield* evalExpression(node.expression, env)
     return value
   }
 
@@ -300,34 +580,89 @@ export function generateTrace(code) {
     return undefined
   }
 
-  function execReturnStatement(node, env) {
+  function* execClassDeclaration(node, env) {
+    const line = node.loc ? node.loc.start.line : null
+    const cls = yield* evalClass(node, env)
+    envDefine(env, cls.name, cls, 'let')
+    syncScopes(env)
+    tracer.addStep(line, 'function', `Class ${cls.name} declared${cls.parentClass ? ` (extends ${cls.parentClass.name})` : ''}`)
+    return undefined
+  }
+
+  function* execReturnStatement(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const value = node.argument ? evalExpression(node.argument, env) : undefined
+    const value = node.argument ? (yield* evalExpression(node.argument, env)) : undefined
     syncScopes(env)
     tracer.addStep(line, 'return', `Return ${fmt(value)}`)
     return new ReturnSignal(value)
   }
 
-  function execIfStatement(node, env) {
+  function* execIfStatement(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const test = evalExpression(node.test, env)
+    const test = yield* evalExpression(node.test, env)
 
     syncScopes(env)
     tracer.addStep(line, 'conditional', `if (${fmt(test)}) → ${test ? 'true' : 'false'}`)
 
     if (test) {
-      const result = execStatement(node.consequent, env)
+      const result = yield* execStatement(node.consequent, env)
       if (result instanceof ReturnSignal || result instanceof BreakSignal || result instanceof ContinueSignal) return result
     } else if (node.alternate) {
       const altLine = node.alternate.loc ? node.alternate.loc.start.line : line
       tracer.addStep(altLine, 'conditional', 'Entering else branch')
-      const result = execStatement(node.alternate, env)
+      const result = yield* execStatement(node.alternate, env)
       if (result instanceof ReturnSignal || result instanceof BreakSignal || result instanceof ContinueSignal) return result
     }
     return undefined
   }
 
-  function execForStatement(node, env) {
+  function execJumpStatement(node, env) {
+    const isBreak = node.type === 'BreakStatement'
+    if (!node.label) return isBreak ? new BreakSignal() : new ContinueSignal()
+
+    const line = node.loc ? node.loc.start.line : null
+    const label = node.label.name
+    syncScopes(env)
+    tracer.addStep(line, 'loop', isBreak
+      ? `break ${label} — jumping out of the statement labeled "${label}"`
+      : `continue ${label} — jumping to the next iteration of the loop labeled "${label}"`)
+    return isBreak ? new BreakSignal(label) : new ContinueSignal(label)
+  }
+
+  function* execLabeledStatement(node, env) {
+    // Stacked labels (`a: b: for ...`) all name the same statement
+    const labels = []
+    let body = node
+    while (body.type === 'LabeledStatement') {
+      labels.push(body.label.name)
+      body = body.body
+    }
+
+    let result
+    switch (body.type) {
+      case 'ForStatement':
+        result = yield* execForStatement(body, env, labels)
+        break
+      case 'WhileStatement':
+        result = yield* execWhileStatement(body, env, labels)
+        break
+      case 'DoWhileStatement':
+        result = yield* execDoWhileStatement(body, env, labels)
+        break
+      case 'ForOfStatement':
+      case 'ForInStatement':
+        result = yield* execForOfInStatement(body, env, labels)
+        break
+      default:
+        result = yield* execStatement(body, env)
+    }
+
+    // `break label` lands right after the labeled statement
+    if (result instanceof BreakSignal && labels.includes(result.label)) return undefined
+    return result
+  }
+
+  function* execForStatement(node, env, labels = []) {
     const line = node.loc ? node.loc.start.line : null
     const loopEnv = createEnv(env, 'for-block', 'block')
 
@@ -337,16 +672,40 @@ export function generateTrace(code) {
         // var is function-scoped, so declare in parent env
         // let/const are block-scoped, so declare in loop env
         if (node.init.kind === 'var') {
-          execVariableDeclaration(node.init, env)
+          yield* execVariableDeclaration(node.init, env)
         } else {
-          execVariableDeclaration(node.init, loopEnv)
+          yield* execVariableDeclaration(node.init, loopEnv)
         }
       } else {
-        evalExpression(node.init, loopEnv)
+        yield* evalExpression(node.init, loopEnv)
+      }
+    }
+
+    // `let` bindings are copied into a fresh scope for every iteration
+    // (CreatePerIterationEnvironment), so closures made in one iteration keep
+    // their own copy; `var` and `const` share a single binding
+    const perIterationLets = node.init && node.init.type === 'VariableDeclaration' && node.init.kind === 'let'
+      ? node.init.declarations.flatMap(decl => patternNames(decl.id))
+      : []
+    let iterationEnv = loopEnv
+    const nextIteration = () => {
+      if (perIterationLets.length === 0) return
+      const previous = iterationEnv
+      iterationEnv = createEnv(env, `for-block (iteration ${(previous.iteration || 0) + 1})`, 'block')
+      iterationEnv.iteration = (previous.iteration || 0) + 1
+      iterationEnv.perIterationLets = perIterationLets
+      for (const name of perIterationLets) {
+        envDefine(iterationEnv, name, previous.vars[name].value, 'let')
+      }
+      // A closure may have captured the scope being left — freeze its heap card
+      if (previous.heapId) {
+        previous.heapCard = iterationBindings(previous)
+        tracer.updateHeap(previous.heapId, previous.heapCard)
       }
     }
 
-    syncScopes(loopEnv)
+    nextIteration()
+    syncScopes(iterationEnv)
     tracer.addStep(line, 'loop', 'for loop started')
 
     while (true) {
@@ -354,22 +713,24 @@ export function generateTrace(code) {
 
       // Test
       if (node.test) {
-        const test = evalExpression(node.test, loopEnv)
-        syncScopes(loopEnv)
+        const test = yield* evalExpression(node.test, iterationEnv)
+        syncScopes(iterationEnv)
         tracer.addStep(line, 'loop', `for condition: ${fmt(test)} → ${test ? 'true' : 'false'}`)
         if (!test) break
       }
 
       // Body
-      const result = execStatement(node.body, loopEnv)
-      if (result instanceof ReturnSignal) return result
-      if (result instanceof BreakSignal) break
-      // ContinueSignal — just continue
+      const result = yield* execStatement(node.body, iterationEnv)
+      const control = loopControl(result, labels)
+      if (control === 'exit') return result
+      if (control === 'break') break
+
+      nextIteration()
 
       // Update
       if (node.update) {
-        evalExpression(node.update, loopEnv)
-        syncScopes(loopEnv)
+        yield* evalExpression(node.update, iterationEnv)
+        syncScopes(iterationEnv)
       }
     }
 
@@ -378,7 +739,7 @@ export function generateTrace(code) {
     return undefined
   }
 
-  function execWhileStatement(node, env) {
+  function* execWhileStatement(node, env, labels = []) {
     const line = node.loc ? node.loc.start.line : null
 
     syncScopes(env)
@@ -386,19 +747,20 @@ export function generateTrace(code) {
 
     while (true) {
       checkStepLimit()
-      const test = evalExpression(node.test, env)
+      const test = yield* evalExpression(node.test, env)
       syncScopes(env)
       tracer.addStep(line, 'loop', `while condition: ${fmt(test)} → ${test ? 'true' : 'false'}`)
       if (!test) break
 
-      const result = execStatement(node.body, env)
-      if (result instanceof ReturnSignal) return result
-      if (result instanceof BreakSignal) break
+      const result = yield* execStatement(node.body, env)
+      const control = loopControl(result, labels)
+      if (control === 'exit') return result
+      if (control === 'break') break
     }
     return undefined
   }
 
-  function execDoWhileStatement(node, env) {
+  function* execDoWhileStatement(node, env, labels = []) {
     const line = node.loc ? node.loc.start.line : null
 
     syncScopes(env)
@@ -406,11 +768,12 @@ export function generateTrace(code) {
 
     while (true) {
       checkStepLimit()
-      const result = execStatement(node.body, env)
-      if (result instanceof ReturnSignal) return result
-      if (result instanceof BreakSignal) break
+      const result = yield* execStatement(node.body, env)
+      const control = loopControl(result, labels)
+      if (control === 'exit') return result
+      if (control === 'break') break
 
-      const test = evalExpression(node.test, env)
+      const test = yield* evalExpression(node.test, env)
       syncScopes(env)
       tracer.addStep(line, 'loop', `do-while condition: ${fmt(test)} → ${test ? 'true' : 'false'}`)
       if (!test) break
@@ -418,12 +781,12 @@ export function generateTrace(code) {
     return undefined
   }
 
-  function execBlockStatement(node, env) {
+  function* execBlockStatement(node, env) {
     const blockEnv = createEnv(env, 'block', 'block')
     hoistDeclarations(node.body, blockEnv)
 
     for (const stmt of node.body) {
-      const result = execStatement(stmt, blockEnv)
+      const result = yield* execStatement(stmt, blockEnv)
       if (result instanceof ReturnSignal || result instanceof BreakSignal || result instanceof ContinueSignal) {
         syncScopes(env)
         return result
@@ -433,9 +796,9 @@ export function generateTrace(code) {
     return undefined
   }
 
-  function execSwitchStatement(node, env) {
+  function* execSwitchStatement(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const disc = evalExpression(node.discriminant, env)
+    const disc = yield* evalExpression(node.discriminant, env)
 
     syncScopes(env)
     tracer.addStep(line, 'conditional', `switch (${fmt(disc)})`)
@@ -443,26 +806,26 @@ export function generateTrace(code) {
     let matched = false
     for (const c of node.cases) {
       if (!matched && c.test) {
-        const testVal = evalExpression(c.test, env)
+        const testVal = yield* evalExpression(c.test, env)
         if (disc !== testVal) continue
       }
       if (c.test || matched) matched = true
       if (!c.test) matched = true // default
 
       for (const stmt of c.consequent) {
-        const result = execStatement(stmt, env)
-        if (result instanceof BreakSignal) return undefined
-        if (result instanceof ReturnSignal) return result
+        const result = yield* execStatement(stmt, env)
+        if (result instanceof BreakSignal && !result.label) return undefined
+        if (result instanceof ReturnSignal || result instanceof BreakSignal || result instanceof ContinueSignal) return result
       }
     }
     return undefined
   }
 
-  function execForOfInStatement(node, env) {
+  function* execForOfInStatement(node, env, labels = []) {
     const line = node.loc ? node.loc.start.line : null
     const isOf = node.type === 'ForOfStatement'
-    const right = evalExpression(node.right, env)
-    const iterable = isOf ? right : Object.keys(right)
+    const right = yield* evalExpression(node.right, env)
+    const iterable = isOf ? iterate(right, env, line) : Object.keys(right)
 
     syncScopes(env)
     tracer.addStep(line, 'loop', `for-${isOf ? 'of' : 'in'} loop started`)
@@ -470,51 +833,58 @@ export function generateTrace(code) {
     for (const item of iterable) {
       checkStepLimit()
       const loopEnv = createEnv(env, 'for-block', 'block')
-      const varName = node.left.type === 'VariableDeclaration'
-        ? node.left.declarations[0].id.name
-        : node.left.name
+      const target = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left
 
-      envDefine(loopEnv, varName, item, node.left.kind || 'let')
-      syncScopes(loopEnv)
-      tracer.addStep(line, 'loop', `${varName} = ${fmt(item)}`)
+      if (target.type === 'Identifier') {
+        envDefine(loopEnv, target.name, item, node.left.kind || 'let')
+        syncScopes(loopEnv)
+        tracer.addStep(line, 'loop', `${target.name} = ${fmt(item)}`)
+      } else {
+        // Destructuring head: each name gets its own step
+        yield* bindPattern(target, item, loopEnv, node.left.kind || null, line)
+      }
 
-      const result = execStatement(node.body, loopEnv)
-      if (result instanceof ReturnSignal) return result
-      if (result instanceof BreakSignal) break
+      const result = yield* execStatement(node.body, loopEnv)
+      const control = loopControl(result, labels)
+      if (control === 'exit') return result
+      if (control === 'break') break
     }
     syncScopes(env)
     return undefined
   }
 
-  function execThrowStatement(node, env) {
+  function* execThrowStatement(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const value = evalExpression(node.argument, env)
+    const value = yield* evalExpression(node.argument, env)
     syncScopes(env)
     tracer.addStep(line, 'error', `throw ${fmt(value)}`)
     throw value
   }
 
-  function execTryStatement(node, env) {
+  function* execTryStatement(node, env) {
     const line = node.loc ? node.loc.start.line : null
     syncScopes(env)
     tracer.addStep(line, 'trycatch', 'Entering try block')
+    const depth = tracer.callDepth()
 
     try {
-      const result = execStatement(node.block, env)
-      if (result instanceof ReturnSignal) return result
+      const result = yield* execStatement(node.block, env)
+      if (result instanceof ReturnSignal || result instanceof BreakSignal || result instanceof ContinueSignal) return result
     } catch (err) {
+      if (err instanceof StepLimitError) throw err
+      // Frames of calls the exception escaped from are gone
+      tracer.unwindCallStack(depth)
       if (node.handler) {
         const catchEnv = createEnv(env, 'catch', 'block')
         if (node.handler.param) {
-          const paramName = node.handler.param.name
-          envDefine(catchEnv, paramName, err, 'let')
+          yield* bindPattern(node.handler.param, err, catchEnv, 'let', line, true)
         }
         const catchLine = node.handler.loc ? node.handler.loc.start.line : line
         syncScopes(catchEnv)
         tracer.addStep(catchLine, 'trycatch', `Caught error: ${fmt(err)}`)
-        const result = execStatement(node.handler.body, catchEnv)
+        const result = yield* execStatement(node.handler.body, catchEnv)
         syncScopes(env)
-        if (result instanceof ReturnSignal) return result
+        if (result instanceof ReturnSignal || result instanceof BreakSignal || result instanceof ContinueSignal) return result
       } else {
         throw err
       }
@@ -522,8 +892,8 @@ export function generateTrace(code) {
       if (node.finalizer) {
         syncScopes(env)
         tracer.addStep(line, 'trycatch', 'Entering finally block')
-        const result = execStatement(node.finalizer, env)
-        if (result instanceof ReturnSignal) return result
+        const result = yield* execStatement(node.finalizer, env)
+        if (result instanceof ReturnSignal || result instanceof BreakSignal || result instanceof ContinueSignal) return result
       }
     }
     return undefined
@@ -531,7 +901,7 @@ export function generateTrace(code) {
 
   // ─── Expression Evaluator ─────────────────────────────────────────
 
-  function evalExpression(node, env) {
+  function* evalExpression(node, env) {
     if (!node) return undefined
 
     switch (node.type) {
@@ -539,86 +909,115 @@ export function generateTrace(code) {
         return node.value
 
       case 'Identifier':
-        return envGet(env, node.name)
+        return envGet(env, node.name, node.loc ? node.loc.start.line : null)
 
       case 'TemplateLiteral':
-        return evalTemplateLiteral(node, env)
+        return yield* evalTemplateLiteral(node, env)
 
       case 'TaggedTemplateExpression':
-        return evalExpression(node.quasi, env)
+        return yield* evalExpression(node.quasi, env)
 
       case 'BinaryExpression':
-        return evalBinaryExpression(node, env)
+        return yield* evalBinaryExpression(node, env)
 
       case 'LogicalExpression':
-        return evalLogicalExpression(node, env)
+        return yield* evalLogicalExpression(node, env)
+
+      case 'ChainExpression':
+        return yield* evalChainExpression(node, env)
 
       case 'UnaryExpression':
-        return evalUnaryExpression(node, env)
+        return yield* evalUnaryExpression(node, env)
 
       case 'UpdateExpression':
-        return evalUpdateExpression(node, env)
+        return yield* evalUpdateExpression(node, env)
 
       case 'AssignmentExpression':
-        return evalAssignmentExpression(node, env)
+        return yield* evalAssignmentExpression(node, env)
 
       case 'CallExpression':
-        return evalCallExpression(node, env)
+        return holdTemporary(yield* evalCallExpression(node, env))
 
       case 'MemberExpression':
-        return evalMemberExpression(node, env)
+        return yield* evalMemberExpression(node, env)
 
       case 'ArrayExpression':
-        return node.elements.map(el => el ? evalExpression(el, env) : undefined)
+        return yield* evalArguments(node.elements, env)
 
       case 'ObjectExpression':
-        return evalObjectExpression(node, env)
+        return yield* evalObjectExpression(node, env)
 
       case 'ArrowFunctionExpression':
       case 'FunctionExpression':
         return evalFunctionExpression(node, env)
 
       case 'ConditionalExpression':
-        return evalExpression(node.test, env)
-          ? evalExpression(node.consequent, env)
-          : evalExpression(node.alternate, env)
+        return (yield* evalExpression(node.test, env))
+          ? yield* evalExpression(node.consequent, env)
+          : yield* evalExpression(node.alternate, env)
 
       case 'SequenceExpression': {
         let val
         for (const expr of node.expressions) {
-          val = evalExpression(expr, env)
+          val = yield* evalExpression(expr, env)
         }
         return val
       }
 
       case 'SpreadElement':
-        return evalExpression(node.argument, env)
+        return yield* evalExpression(node.argument, env)
 
       case 'NewExpression':
-        return evalNewExpression(node, env)
+        return holdTemporary(yield* evalNewExpression(node, env))
+
+      case 'ClassExpression':
+        return yield* evalClass(node, env)
+
+      case 'YieldExpression':
+        return yield* evalYieldExpression(node, env)
+
+      case 'AwaitExpression': {
+        const value = yield* evalExpression(node.argument, env)
+        return yield new SuspendSignal('await', value, node.loc ? node.loc.start.line : null)
+      }
 
       case 'ThisExpression':
-        return envHas(env, 'this') ? envGet(env, 'this') : undefined
+        return getThisBinding(env, node.loc ? node.loc.start.line : null)
 
       default:
         return undefined
     }
   }
 
-  function evalTemplateLiteral(node, env) {
+  /** Evaluate argument/element lists left to right (holes stay undefined, spreads are iterated) */
+  function* evalArguments(nodes, env) {
+    const values = []
+    for (const el of nodes) {
+      if (el && el.type === 'SpreadElement') {
+        const spread = yield* evalExpression(el.argument, env)
+        const line = el.loc ? el.loc.start.line : null
+        for (const item of iterate(spread, env, line)) values.push(item)
+      } else {
+        values.push(el ? yield* evalExpression(el, env) : undefined)
+      }
+    }
+    return values
+  }
+
+  function* evalTemplateLiteral(node, env) {
     let result = ''
     for (let i = 0; i < node.quasis.length; i++) {
       result += node.quasis[i].value.cooked
       if (i < node.expressions.length) {
-        result += String(evalExpression(node.expressions[i], env))
+        result += String(yield* evalExpression(node.expressions[i], env))
       }
     }
     return result
   }
 
-  function evalBinaryExpression(node, env) {
-    const left = evalExpression(node.left, env)
-    const right = evalExpression(node.right, env)
+  function* evalBinaryExpression(node, env) {
+    const left = yield* evalExpression(node.left, env)
+    const right = yield* evalExpression(node.right, env)
 
     switch (node.operator) {
       case '+': return left + right
@@ -641,30 +1040,70 @@ export function generateTrace(code) {
       case '<<': return left << right
       case '>>': return left >> right
       case '>>>': return left >>> right
-      case 'instanceof': return left instanceof right
+      case 'instanceof':
+        if (right instanceof TracedFunction) {
+          return right.prototype != null && left !== null && typeof left === 'object' &&
+            Object.prototype.isPrototypeOf.call(right.prototype, left)
+        }
+        if (right === promiseConstructor) return isPromise(left)
+        return left instanceof right
       case 'in': return left in right
       default: return undefined
     }
   }
 
-  function evalLogicalExpression(node, env) {
-    const left = evalExpression(node.left, env)
+  /** Source text of a node, for step descriptions */
+  function sourceOf(node) {
+    return code.slice(node.start, node.end)
+  }
+
+  function* evalChainExpression(node, env) {
+    try {
+      return yield* evalExpression(node.expression, env)
+    } catch (signal) {
+      if (!(signal instanceof ShortCircuitSignal)) throw signal
+      const line = node.loc ? node.loc.start.line : null
+      syncScopes(env)
+      tracer.addStep(line, 'conditional', `${sourceOf(node)} → undefined, short-circuited (${sourceOf(signal.node)} is ${fmt(signal.value)})`)
+      return undefined
+    }
+  }
+
+  function* evalLogicalExpression(node, env) {
+    const left = yield* evalExpression(node.left, env)
     switch (node.operator) {
-      case '&&': return left ? evalExpression(node.right, env) : left
-      case '||': return left ? left : evalExpression(node.right, env)
-      case '??': return left != null ? left : evalExpression(node.right, env)
+      case '&&': return left ? yield* evalExpression(node.right, env) : left
+      case '||': return left ? left : yield* evalExpression(node.right, env)
+      case '??': return left != null ? left : yield* evalExpression(node.right, env)
       default: return undefined
     }
   }
 
-  function evalUnaryExpression(node, env) {
+  /** Host functions evalCallExpression dispatches by name; they have no value in any scope */
+  const hostFunctionNames = new Set([
+    'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'setImmediate', 'clearImmediate',
+    'fetch', 'queueMicrotask', 'requestAnimationFrame', 'cancelAnimationFrame',
+  ])
+
+  function typeOf(val) {
+    if (val instanceof TracedFunction) return 'function'
+    if (val && val.__isPromiseConstructor) return 'function'
+    return typeof val
+  }
+
+  function* evalUnaryExpression(node, env) {
     if (node.operator === 'typeof') {
-      try {
-        const val = evalExpression(node.argument, env)
-        return typeof val
-      } catch {
-        return 'undefined'
+      // Undeclared names are fine under typeof; names still in their TDZ are declared, so they still throw
+      if (node.argument.type === 'Identifier' && !envHas(env, node.argument.name)) {
+        if (hostFunctionNames.has(node.argument.name)) return 'function'
+        try {
+          return typeOf(envGet(env, node.argument.name))
+        } catch {
+          return 'undefined'
+        }
       }
+      const val = yield* evalExpression(node.argument, env)
+      return typeOf(val)
     }
 
     if (node.operator === 'delete') {
@@ -672,11 +1111,10 @@ export function generateTrace(code) {
       
       // delete obj.prop or delete obj[prop]
       if (node.argument.type === 'MemberExpression') {
-        const obj = evalExpression(node.argument.object, env)
-        const prop = node.argument.computed
-          ? evalExpression(node.argument.property, env)
-          : node.argument.property.name
+        const obj = yield* evalExpression(node.argument.object, env)
+        const prop = yield* getMemberKey(node.argument, env)
         
+        noteSlotWrite(obj, prop)
         const result = delete obj[prop]
         syncScopes(env)
         tracer.addStep(line, 'assignment', `delete ${fmt(obj)}.${prop} → ${result}`)
@@ -687,7 +1125,7 @@ export function generateTrace(code) {
       return true
     }
 
-    const arg = evalExpression(node.argument, env)
+    const arg = yield* evalExpression(node.argument, env)
     switch (node.operator) {
       case '-': return -arg
       case '+': return +arg
@@ -698,31 +1136,46 @@ export function generateTrace(code) {
     }
   }
 
-  function evalUpdateExpression(node, env) {
+  function* evalUpdateExpression(node, env) {
+    // obj.prop++ / this.count--
+    if (node.argument.type === 'MemberExpression') {
+      const obj = yield* evalExpression(node.argument.object, env)
+      const prop = yield* getMemberKey(node.argument, env)
+      const oldVal = obj[prop]
+      const newVal = node.operator === '++' ? oldVal + 1 : oldVal - 1
+
+      noteSlotWrite(obj, prop)
+      obj[prop] = newVal
+      const line = node.loc ? node.loc.start.line : null
+      syncScopes(env)
+      tracer.addStep(line, 'assignment', `Updated property ${prop}: ${fmt(oldVal)} → ${fmt(newVal)}`)
+
+      return node.prefix ? newVal : oldVal
+    }
+
     const name = node.argument.name
-    const oldVal = envGet(env, name)
+    const line = node.loc ? node.loc.start.line : null
+    const oldVal = envGet(env, name, line)
     const newVal = node.operator === '++' ? oldVal + 1 : oldVal - 1
 
-    envSet(env, name, newVal)
-    const line = node.loc ? node.loc.start.line : null
+    envSet(env, name, newVal, line)
     syncScopes(env)
     tracer.addStep(line, 'variable', `Updated ${name}: ${fmt(oldVal)} → ${fmt(newVal)}`)
 
     return node.prefix ? newVal : oldVal
   }
 
-  function evalAssignmentExpression(node, env) {
+  function* evalAssignmentExpression(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const right = evalExpression(node.right, env)
+    const right = yield* evalExpression(node.right, env)
 
     // Handle member expression assignment: obj.prop = val / arr[i] = val
     if (node.left.type === 'MemberExpression') {
-      const obj = evalExpression(node.left.object, env)
-      const prop = node.left.computed
-        ? evalExpression(node.left.property, env)
-        : node.left.property.name
+      const obj = yield* evalExpression(node.left.object, env)
+      const prop = yield* getMemberKey(node.left, env)
 
-      const oldVal = obj[prop]
+      // Plain `=` never reads the old value (that would run a getter)
+      const oldVal = node.operator === '=' ? undefined : obj[prop]
       let newVal = right
 
       switch (node.operator) {
@@ -735,6 +1188,7 @@ export function generateTrace(code) {
         default: newVal = right
       }
 
+      noteSlotWrite(obj, prop)
       obj[prop] = newVal
       syncScopes(env)
       tracer.addStep(line, 'assignment', `Set property ${prop} = ${fmt(newVal)}`)
@@ -747,7 +1201,7 @@ export function generateTrace(code) {
       let newVal = right
 
       if (node.operator !== '=') {
-        const oldVal = envGet(env, name)
+        const oldVal = envGet(env, name, line)
         switch (node.operator) {
           case '+=': newVal = oldVal + right; break
           case '-=': newVal = oldVal - right; break
@@ -762,19 +1216,26 @@ export function generateTrace(code) {
         }
       }
 
-      envSet(env, name, newVal)
+      envSet(env, name, newVal, line)
       syncScopes(env)
       tracer.addStep(line, 'assignment', `${name} = ${fmt(newVal)}`)
       return newVal
     }
 
-    // Destructuring assignment - basic support
+    // Destructuring assignment: [a, b] = [b, a], ({ x, y } = point)
+    yield* bindPattern(node.left, right, env, null, line)
     return right
   }
 
-  function evalCallExpression(node, env) {
+  function* evalCallExpression(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const args = node.arguments.map(a => evalExpression(a, env))
+
+    // ── obj?.method() / fn?.() — check the optional link before any argument runs ──
+    if (node.optional || (node.callee.type === 'MemberExpression' && node.callee.optional)) {
+      return yield* evalOptionalCall(node, env, line)
+    }
+
+    const args = yield* evalArguments(node.arguments, env)
 
     // ── console.log / console.warn / console.error ──
     if (
@@ -789,277 +1250,545 @@ export function generateTrace(code) {
       return undefined
     }
 
-    // ── setTimeout ──
+    // ── setTimeout / setInterval ──
     if (
       node.callee.type === 'Identifier' &&
-      node.callee.name === 'setTimeout'
+      (node.callee.name === 'setTimeout' || node.callee.name === 'setInterval')
     ) {
-      return handleSetTimeout(node, args, env, line)
+      return scheduleTimer(node.callee.name, args, env, line)
     }
 
-    // ── setInterval ──
+    // ── clearTimeout / clearInterval ──
     if (
       node.callee.type === 'Identifier' &&
-      node.callee.name === 'setInterval'
+      (node.callee.name === 'clearTimeout' || node.callee.name === 'clearInterval')
     ) {
-      // Treat as single setTimeout for visualization
-      return handleSetTimeout(node, args, env, line)
+      return clearTimer(node.callee.name, args[0], env, line)
     }
 
-    // ── Promise.resolve().then() or new Promise() patterns are handled in member call ──
+    // ── setImmediate / clearImmediate ──
+    if (node.callee.type === 'Identifier' && node.callee.name === 'setImmediate') {
+      return scheduleImmediate(args, env, line)
+    }
+    if (node.callee.type === 'Identifier' && node.callee.name === 'clearImmediate') {
+      return clearTimer('clearImmediate', args[0], env, line)
+    }
 
-    // ── .then() on a promise-like ──
-    if (
-      node.callee.type === 'MemberExpression' &&
-      (node.callee.property.name === 'then' || node.callee.property.value === 'then')
-    ) {
-      return handlePromiseThen(node, args, env, line)
+    // ── fetch ──
+    if (node.callee.type === 'Identifier' && node.callee.name === 'fetch') {
+      return handleFetch(args, env, line)
     }
 
-    // ── .catch() on a promise-like ──
-    if (
-      node.callee.type === 'MemberExpression' &&
-      (node.callee.property.name === 'catch' || node.callee.property.value === 'catch')
-    ) {
-      // Evaluate the object (the promise), return it for chaining
-      const obj = evalExpression(node.callee.object, env)
-      return obj // simplified: just pass through the promise
+    // ── queueMicrotask ──
+    if (node.callee.type === 'Identifier' && node.callee.name === 'queueMicrotask') {
+      return handleQueueMicrotask(args[0], env, line)
+    }
+
+    // ── requestAnimationFrame / cancelAnimationFrame ──
+    if (node.callee.type === 'Identifier' && node.callee.name === 'requestAnimationFrame') {
+      return requestAnimationFrame(args[0], env, line)
+    }
+    if (node.callee.type === 'Identifier' && node.callee.name === 'cancelAnimationFrame') {
+      return cancelAnimationFrame(args[0], env, line)
+    }
+
+    // ── super(...) inside a derived class constructor ──
+    if (node.callee.type === 'Super') {
+      return yield* evalSuperCall(args, env, line)
     }
 
     // ── Regular method calls: obj.method(args) ──
     if (node.callee.type === 'MemberExpression') {
-      return evalMethodCall(node, args, env, line)
+      return yield* evalMethodCall(node, args, env, line)
     }
 
     // ── Regular function calls ──
-    const callee = evalExpression(node.callee, env)
+    const callee = yield* evalExpression(node.callee, env)
     const calleeName = node.callee.type === 'Identifier'
       ? node.callee.name
       : (callee && callee.name) || 'anonymous'
 
-    return invokeFunction(callee, calleeName, args, env, line)
+    return yield* invokeFunction(callee, calleeName, args, env, line)
   }
 
-  function handleSetTimeout(node, args, env, line) {
+  function* evalOptionalCall(node, env, line) {
+    if (node.callee.type === 'MemberExpression') {
+      const obj = yield* evalExpression(node.callee.object, env)
+      if (node.callee.optional && obj == null) throw new ShortCircuitSignal(node.callee.object, obj)
+      const prop = yield* getMemberKey(node.callee, env)
+      const method = obj == null ? undefined : obj[prop]
+      if (node.optional && method == null) throw new ShortCircuitSignal(node.callee, method)
+
+      const args = yield* evalArguments(node.arguments, env)
+      return yield* evalMethodCall(node, args, env, line, { obj, prop })
+    }
+
+    const callee = yield* evalExpression(node.callee, env)
+    if (callee == null) throw new ShortCircuitSignal(node.callee, callee)
+    const args = yield* evalArguments(node.arguments, env)
+    const calleeName = node.callee.type === 'Identifier' ? node.callee.name : callee.name || 'anonymous'
+    return yield* invokeFunction(callee, calleeName, args, env, line)
+  }
+
+  /** Register a timer; it becomes due `delay` ms after the current virtual time */
+  function scheduleTimer(api, args, env, line) {
     const callback = args[0]
-    const delay = args[1] || 0
+    const delay = Math.max(0, Number(args[1]) || 0)
     const id = webApiIdCounter++
-    const label = `setTimeout(${delay}ms)`
+    const label = `${api}(${delay}ms)`
+    const dueTime = virtualTime + delay
+    const timer = { id, label, delay, dueTime, repeat: api === 'setInterval', callback, args: args.slice(2), firings: 0 }
 
-    tracer.addWebApi(id, 'timer', label, delay)
+    pendingTimers.push(timer)
+    activeTimers.set(id, timer)
+    tracer.addWebApi(id, api, label, delay, dueTime)
     syncScopes(env)
-    tracer.addStep(line, 'webapi', `${label} — added to Web APIs`)
-
-    // Store the callback AST node for later execution
-    // If callback is a TracedFunction, we have the AST
-    if (callback instanceof TracedFunction) {
-      pendingTimers.push({
-        id,
-        label,
-        delay,
-        tracedFn: callback,
-        closureEnv: callback.closureEnv,
-      })
-    } else {
-      // For arrow functions passed inline, we need the AST node
-      // The callback was already evaluated to a TracedFunction above
-      pendingTimers.push({
-        id,
-        label,
-        delay,
-        tracedFn: callback,
-        closureEnv: env,
-      })
-    }
+    tracer.addStep(line, 'webapi', `${label} — added to Web APIs, due at ${dueTime}ms on the virtual clock`)
 
     return id
   }
 
-  function handlePromiseThen(node, args, env, line) {
-    // Evaluate the promise/object the .then() is called on
-    const promiseObj = evalExpression(node.callee.object, env)
-    const callback = args[0]
-    const label = '.then() callback'
-
-    // Create a new promise for the chained result
-    const chainedPromise = { __isPromise: true, __resolvedValue: undefined }
-
-    if (callback instanceof TracedFunction) {
-      pendingMicrotasks.push({
-        label,
-        tracedFn: callback,
-        closureEnv: callback.closureEnv,
-        sourcePromise: promiseObj, // Store reference to source promise, not the value
-        chainedPromise, // Store reference to update after execution
-      })
-    }
+  /** setImmediate: a macrotask that skips the Web APIs and goes straight to the Callback Queue */
+  function scheduleImmediate(args, env, line) {
+    const id = webApiIdCounter++
+    const timer = { id, label: 'setImmediate', delay: 0, dueTime: virtualTime, repeat: false, callback: args[0], args: args.slice(1), firings: 0 }
 
-    tracer.addToMicrotaskQueue(label, null)
+    readyTimers.push(timer)
+    activeTimers.set(id, timer)
+    tracer.addToCallbackQueue(timer.label, id)
     syncScopes(env)
-    tracer.addStep(line, 'microtask', `Promise.then() — callback added to Microtask Queue`)
+    tracer.addStep(line, 'webapi', 'setImmediate() — callback goes straight to the Callback Queue')
 
-    // Return the chained promise
-    return chainedPromise
+    return id
   }
 
-  function evalMethodCall(node, args, env, line) {
-    const obj = evalExpression(node.callee.object, env)
-    const prop = node.callee.computed
-      ? evalExpression(node.callee.property, env)
-      : node.callee.property.name
-
-    // Promise.resolve()
-    if (obj && obj.__isPromiseConstructor && prop === 'resolve') {
-      syncScopes(env)
-      tracer.addStep(line, 'promise', `Promise.resolve(${args.map(a => fmt(a)).join(', ')})`)
-      return { __isPromise: true, __resolvedValue: args[0] }
+  function handleQueueMicrotask(callback, env, line) {
+    if (!isCallable(callback)) {
+      throw errorAt(TypeError, `queueMicrotask: ${fmt(callback)} is not a function`, line)
     }
+    enqueueMicrotask('queueMicrotask callback', function* (globalEnv) {
+      yield* invokeFunction(callback, callback.name, [], globalEnv, null)
+    }, [callback])
+    syncScopes(env)
+    tracer.addStep(line, 'microtask', 'queueMicrotask() — callback added to Microtask Queue')
+    return undefined
+  }
 
-    // Promise.reject()
-    if (obj && obj.__isPromiseConstructor && prop === 'reject') {
+  /** clearTimeout / clearInterval — the two are interchangeable, as in browsers */
+  function clearTimer(api, id, env, line) {
+    referencesDropped = true
+    const timer = activeTimers.get(id)
+    if (!timer) {
       syncScopes(env)
-      tracer.addStep(line, 'promise', `Promise.reject(${args.map(a => fmt(a)).join(', ')})`)
-      return { __isPromise: true, __rejectedValue: args[0] }
+      tracer.addStep(line, 'webapi', `${api}(${fmt(id)}) — no active timer with that id, nothing to cancel`)
+      return undefined
     }
 
-    // Function.call(thisArg, ...args)
-    if ((typeof obj === 'function' || obj instanceof TracedFunction) && prop === 'call') {
-      const thisArg = args[0]
-      const fnArgs = args.slice(1)
-      
-      if (obj instanceof TracedFunction) {
-        syncScopes(env)
-        tracer.addStep(line, 'call', `${obj.name}.call(${fmt(thisArg)}, ${fnArgs.map(a => fmt(a)).join(', ')})`)
-        
-        // Create function scope with custom 'this'
-        const fnEnv = createEnv(obj.closureEnv, obj.name, 'function')
-        envDefine(fnEnv, 'this', thisArg, 'const')
-        
-        // Bind parameters
-        for (let i = 0; i < obj.params.length; i++) {
-          const param = obj.params[i]
-          const paramName = param.type === 'Identifier' ? param.name : `arg${i}`
-          envDefine(fnEnv, paramName, fnArgs[i], 'let')
-        }
-        
-        // Hoist declarations
-        if (obj.body.type === 'BlockStatement') {
-          hoistDeclarations(obj.body.body, fnEnv)
-        }
-        
-        tracer.pushCall(`${obj.name}()`, line)
-        tracer.enterScope(obj.name, 'function')
-        syncScopes(fnEnv)
-        
-        // Execute function body
-        let result
-        if (obj.body.type === 'BlockStatement') {
-          for (const stmt of obj.body.body) {
-            result = execStatement(stmt, fnEnv)
-            if (result instanceof ReturnSignal) {
-              result = result.value
-              break
-            }
-          }
-        } else {
-          result = evalExpression(obj.body, fnEnv)
-        }
-        
-        if (result instanceof ReturnSignal) {
-          result = result.value
-        }
-        
-        tracer.exitScope()
-        tracer.popCall()
-        syncScopes(env)
-        tracer.addStep(line, 'return', `${obj.name}.call() returned ${fmt(result)}`)
-        
-        return result
-      } else if (typeof obj === 'function') {
-        // Native function
-        syncScopes(env)
-        const result = obj.call(thisArg, ...fnArgs)
-        tracer.addStep(line, 'call', `function.call(${fmt(thisArg)}, ${fnArgs.map(a => fmt(a)).join(', ')}) → ${fmt(result)}`)
-        return result
-      }
+    activeTimers.delete(id)
+    timer.cancelled = true
+    let where = 'it will not be re-armed'
+    if (pendingTimers.includes(timer)) {
+      pendingTimers.splice(pendingTimers.indexOf(timer), 1)
+      tracer.removeWebApi(id)
+      where = 'removed from Web APIs, its callback will never run'
+    } else if (readyTimers.includes(timer)) {
+      readyTimers.splice(readyTimers.indexOf(timer), 1)
+      tracer.removeFromCallbackQueue(id)
+      where = 'its callback is taken out of the Callback Queue before it runs'
     }
+    syncScopes(env)
+    tracer.addStep(line, 'webapi', `${api}(${id}) — ${timer.label} cancelled; ${where}`)
+    return undefined
+  }
 
-    // Function.apply(thisArg, argsArray)
-    if ((typeof obj === 'function' || obj instanceof TracedFunction) && prop === 'apply') {
-      const thisArg = args[0]
-      const argsArray = args[1] || []
-      const fnArgs = Array.isArray(argsArray) ? argsArray : []
-      
-      if (obj instanceof TracedFunction) {
-        syncScopes(env)
-        tracer.addStep(line, 'call', `${obj.name}.apply(${fmt(thisArg)}, ${fmt(argsArray)})`)
-        
-        // Create function scope with custom 'this'
-        const fnEnv = createEnv(obj.closureEnv, obj.name, 'function')
-        envDefine(fnEnv, 'this', thisArg, 'const')
-        
-        // Bind parameters
-        for (let i = 0; i < obj.params.length; i++) {
-          const param = obj.params[i]
-          const paramName = param.type === 'Identifier' ? param.name : `arg${i}`
-          envDefine(fnEnv, paramName, fnArgs[i], 'let')
-        }
-        
-        // Hoist declarations
-        if (obj.body.type === 'BlockStatement') {
-          hoistDeclarations(obj.body.body, fnEnv)
-        }
-        
-        tracer.pushCall(`${obj.name}()`, line)
-        tracer.enterScope(obj.name, 'function')
-        syncScopes(fnEnv)
-        
-        // Execute function body
-        let result
-        if (obj.body.type === 'BlockStatement') {
-          for (const stmt of obj.body.body) {
-            result = execStatement(stmt, fnEnv)
-            if (result instanceof ReturnSignal) {
-              result = result.value
-              break
-            }
-          }
-        } else {
-          result = evalExpression(obj.body, fnEnv)
-        }
-        
-        if (result instanceof ReturnSignal) {
-          result = result.value
-        }
-        
-        tracer.exitScope()
-        tracer.popCall()
-        syncScopes(env)
-        tracer.addStep(line, 'return', `${obj.name}.apply() returned ${fmt(result)}`)
-        
-        return result
-      } else if (typeof obj === 'function') {
-        // Native function
-        syncScopes(env)
-        const result = obj.apply(thisArg, fnArgs)
-        tracer.addStep(line, 'call', `function.apply(${fmt(thisArg)}, ${fmt(argsArray)}) → ${fmt(result)}`)
-        return result
-      }
-    }
+  // ─── Network (fetch) ──────────────────────────────────────────────
 
-    // Array/Object native methods
-    if (typeof obj === 'object' && obj !== null && typeof obj[prop] === 'function') {
-      // Wrap TracedFunction arguments so native methods can call them
+  /** Shared prototype of fetch() responses; reading the body is async, like the real Response */
+  const responsePrototype = {
+    json() {
+      return readResponseBody(this, 'json')
+    },
+    text() {
+      return readResponseBody(this, 'text')
+    },
+  }
+
+  function createResponse(url, status, body) {
+    const response = Object.create(responsePrototype)
+    response.status = status
+    response.ok = status >= 200 && status < 300
+    response.url = url
+    Object.defineProperty(response, '__response', { value: { body, bodyUsed: false } })
+    return response
+  }
+
+  function readResponseBody(response, as) {
+    const promise = createPromise()
+    const record = response.__response
+    if (record.bodyUsed) {
+      rejectPromise(promise, new TypeError('Body has already been consumed'))
+      return promise
+    }
+    record.bodyUsed = true
+    try {
+      resolvePromise(promise, as === 'json' ? JSON.parse(record.body) : record.body)
+    } catch (err) {
+      rejectPromise(promise, err)
+    }
+    return promise
+  }
+
+  /**
+   * fetch(url): answered from the mock response table after the mock's
+   * latency on the virtual clock. URLs without a mock get a 404.
+   */
+  function handleFetch(args, env, line) {
+    const url = String(args[0])
+    const method = String((args[1] && args[1].method) || 'GET').toUpperCase()
+    const mock = fetchMocks.find(m => m.url === url)
+    const latency = mock && mock.latency != null ? Math.max(0, Number(mock.latency) || 0) : FETCH_LATENCY
+    const status = mock ? Number(mock.status) || 200 : 404
+    const body = mock ? String(mock.body ?? '') : ''
+    const promise = createPromise()
+    const id = webApiIdCounter++
+    const dueTime = virtualTime + latency
+
+    pendingTimers.push({
+      id,
+      label: `fetch(${url})`,
+      delay: latency,
+      dueTime,
+      repeat: false,
+      source: 'network',
+      firings: 0,
+      holds: [promise],
+      *run() {
+        resolvePromise(promise, createResponse(url, status, body), null, true)
+      },
+    })
+    tracer.addWebApi(id, 'fetch', `${method} ${url}`, latency, dueTime)
+    syncScopes(env)
+    tracer.addStep(line, 'webapi', mock
+      ? `fetch("${url}") — request handed to Web APIs; the mock answers ${status} after ${latency}ms`
+      : `fetch("${url}") — request handed to Web APIs; no mock for this URL, so it will answer 404`)
+
+    return promise
+  }
+
+  // ─── DOM events ───────────────────────────────────────────────────
+
+  /** Native methods so listeners can also be managed from host code */
+  const eventTargetPrototype = {
+    addEventListener(type, callback, opts) {
+      addListener(this, type, callback, opts, null)
+    },
+    removeEventListener(type, callback) {
+      removeListener(this, type, callback, null)
+    },
+  }
+
+  const eventPrototype = {
+    preventDefault() {
+      this.defaultPrevented = true
+    },
+    stopPropagation() {
+      this.__event.stopped = true
+    },
+  }
+
+  function createEventTarget(label) {
+    const target = Object.create(eventTargetPrototype)
+    Object.defineProperty(target, '__eventTarget', { value: { label, listeners: [] } })
+    return target
+  }
+
+  /** A tiny virtual DOM: `document` plus elements that exist for any id asked for */
+  const elements = new Map() // id → element
+  const virtualDocument = createEventTarget('document')
+  Object.defineProperties(virtualDocument, {
+    getElementById: { value: id => getElement(String(id)) },
+    querySelector: { value: selector => (/^#[\w-]+$/.test(selector) ? getElement(selector.slice(1)) : null) },
+  })
+
+  function getElement(id) {
+    if (!elements.has(id)) {
+      const element = createEventTarget(`#${id}`)
+      element.id = id
+      elements.set(id, element)
+    }
+    return elements.get(id)
+  }
+
+  function addListener(target, type, callback, opts, line) {
+    const record = target.__eventTarget
+    if (!isCallable(callback)) return
+    if (record.listeners.some(l => l.type === type && l.callback === callback)) {
+      tracer.addStep(line, 'webapi', `addEventListener("${type}") on ${record.label} — this exact listener is already registered, ignored`)
+      return
+    }
+    const id = webApiIdCounter++
+    record.listeners.push({ id, type, callback, once: !!(opts && opts.once) })
+    tracer.addWebApi(id, 'event', `${type} on ${record.label}`)
+    tracer.addStep(line, 'webapi', `addEventListener("${type}") on ${record.label} — listener registered in Web APIs; it runs each time the event fires`)
+  }
+
+  function removeListener(target, type, callback, line) {
+    referencesDropped = true
+    const record = target.__eventTarget
+    const idx = record.listeners.findIndex(l => l.type === type && l.callback === callback)
+    if (idx === -1) {
+      tracer.addStep(line, 'webapi', `removeEventListener("${type}") on ${record.label} — no match; it needs the same function that was added`)
+      return
+    }
+    tracer.removeWebApi(record.listeners[idx].id)
+    record.listeners.splice(idx, 1)
+    tracer.addStep(line, 'webapi', `removeEventListener("${type}") on ${record.label} — listener removed from Web APIs`)
+  }
+
+  /** Put every scripted event on the virtual clock as a future dispatch task */
+  function scheduleEventScript() {
+    for (const entry of eventScript) {
+      const target = entry.target === 'document' ? virtualDocument : getElement(entry.target.replace(/^#/, ''))
+      const time = Math.max(0, Number(entry.time) || 0)
+      pendingTimers.push({
+        id: webApiIdCounter++,
+        label: `"${entry.type}" on ${target.__eventTarget.label}`,
+        delay: time,
+        dueTime: time,
+        repeat: false,
+        source: 'event',
+        firings: 0,
+        run: globalEnv => dispatchEvent(target, entry.type, entry.value, globalEnv),
+      })
+    }
+  }
+
+  /**
+   * Dispatch one event: the target's listeners run, then it bubbles up to
+   * `document`. Each listener is its own call with a microtask checkpoint after.
+   */
+  function* dispatchEvent(target, type, value, globalEnv) {
+    if (value !== undefined) target.value = value
+    const event = Object.create(eventPrototype)
+    Object.defineProperty(event, '__event', { value: { stopped: false } })
+    Object.assign(event, { type, target, currentTarget: target, timeStamp: virtualTime })
+
+    const path = target === virtualDocument ? [target] : [target, virtualDocument]
+    const count = path.reduce((n, t) => n + t.__eventTarget.listeners.filter(l => l.type === type).length, 0)
+    syncScopes(globalEnv)
+    tracer.addStep(null, 'eventloop', count > 0
+      ? `Dispatching "${type}" on ${target.__eventTarget.label} — ${count} listener${count > 1 ? 's' : ''} to run`
+      : `Dispatching "${type}" on ${target.__eventTarget.label} — no listeners, nothing runs`)
+
+    for (const current of path) {
+      const record = current.__eventTarget
+      event.currentTarget = current
+      // Listeners added during dispatch wait for the next event
+      for (const listener of record.listeners.filter(l => l.type === type)) {
+        if (!record.listeners.includes(listener)) continue
+        if (listener.once) {
+          record.listeners.splice(record.listeners.indexOf(listener), 1)
+          tracer.removeWebApi(listener.id)
+        }
+        yield* invokeFunction(listener.callback, listener.callback.name, [event], globalEnv, null, current)
+        yield* drainMicrotasks(globalEnv)
+      }
+      if (event.__event.stopped) break
+    }
+  }
+
+  // ─── Animation frames ─────────────────────────────────────────────
+
+  /** Virtual time of the next frame; frames fall on multiples of the frame interval */
+  function nextFrameTime() {
+    return Math.max(lastFrameTime + frameInterval, Math.ceil(virtualTime / frameInterval) * frameInterval)
+  }
+
+  function requestAnimationFrame(callback, env, line) {
+    const id = webApiIdCounter++
+    const frame = { id, callback }
+    animationFrames.push(frame)
+    pendingFrames.set(id, frame)
+    tracer.addToAnimationFrameQueue('rAF callback', id)
+    syncScopes(env)
+    tracer.addStep(line, 'webapi', `requestAnimationFrame() — callback waits for the next frame at ${nextFrameTime()}ms`)
+    return id
+  }
+
+  function cancelAnimationFrame(id, env, line) {
+    referencesDropped = true
+    const frame = pendingFrames.get(id)
+    if (frame) {
+      pendingFrames.delete(id)
+      frame.cancelled = true
+      if (animationFrames.includes(frame)) animationFrames.splice(animationFrames.indexOf(frame), 1)
+      tracer.removeFromAnimationFrameQueue(id)
+    }
+    syncScopes(env)
+    tracer.addStep(line, 'webapi', frame
+      ? `cancelAnimationFrame(${id}) — callback removed, it will not run`
+      : `cancelAnimationFrame(${fmt(id)}) — no pending frame callback with that id`)
+    return undefined
+  }
+
+  /**
+   * The render step of a frame: run every callback requested before the
+   * frame started (ones requested during it wait for the next frame),
+   * with a microtask checkpoint after each.
+   */
+  function* runAnimationFrame(globalEnv) {
+    checkStepLimit()
+    const batch = animationFrames.splice(0)
+    lastFrameTime = virtualTime
+    tracer.setEventLoopPhase('render')
+    syncScopes(globalEnv)
+
+    if (framesRendered >= maxAnimationFrames) {
+      for (const frame of batch) tracer.removeFromAnimationFrameQueue(frame.id)
+      pendingFrames.clear()
+      tracer.addStep(null, 'eventloop', `Rendering stopped after ${framesRendered} frames — frame cap reached, ${batch.length} requestAnimationFrame callback${batch.length !== 1 ? 's' : ''} dropped`)
+      return
+    }
+    framesRendered++
+    tracer.addStep(null, 'eventloop', `Frame at ${virtualTime}ms: render step — running ${batch.length} requestAnimationFrame callback${batch.length !== 1 ? 's' : ''}`)
+
+    for (const frame of batch) {
+      if (frame.cancelled) continue
+      pendingFrames.delete(frame.id)
+      tracer.removeFromAnimationFrameQueue(frame.id)
+      tracer.setEventLoopPhase('render')
+      if (isCallable(frame.callback)) {
+        yield* invokeFunction(frame.callback, frame.callback.name, [virtualTime], globalEnv, null)
+      }
+      yield* drainMicrotasks(globalEnv)
+    }
+  }
+
+  /** After an interval's callback has run, put it back on the virtual clock */
+  function rearmInterval(timer, globalEnv) {
+    if (timer.cancelled) return
+    syncScopes(globalEnv)
+    if (timer.firings >= maxIntervalFirings) {
+      activeTimers.delete(timer.id)
+      tracer.addStep(null, 'webapi', `${timer.label} stopped after ${timer.firings} runs — interval cap reached (clearInterval would stop it for real)`)
+      return
+    }
+    timer.dueTime = virtualTime + timer.delay
+    pendingTimers.push(timer)
+    tracer.addWebApi(timer.id, 'setInterval', timer.label, timer.delay, timer.dueTime)
+    tracer.addStep(null, 'webapi', `${timer.label} re-armed — next run due at ${timer.dueTime}ms`)
+  }
+
+
+
+  /** `receiver` carries an already-evaluated `{ obj, prop }` (optional calls check them first) */
+  function* evalMethodCall(node, args, env, line, receiver = null) {
+    // super.method(args) — look the method up on the parent prototype, keep current `this`
+    if (node.callee.object.type === 'Super') {
+      const prop = yield* getMemberKey(node.callee, env)
+      const thisVal = getThisBinding(env, line)
+      const method = getSuperProperty(env, prop, thisVal, line)
+      return yield* invokeFunction(method, `super.${prop}`, args, env, line, thisVal)
+    }
+
+    const obj = receiver ? receiver.obj : yield* evalExpression(node.callee.object, env)
+    const prop = receiver ? receiver.prop : yield* getMemberKey(node.callee, env)
+    tracePropertyLookup(obj, prop)
+
+    // gen.next(v) / gen.return(v) / gen.throw(e) — hand control to the generator frame
+    if (obj && obj.__generator && (prop === 'next' || prop === 'return' || prop === 'throw')) {
+      return resumeGenerator(obj.__generator, prop, args[0], env, line)
+    }
+
+    // promise.then() / .catch() / .finally()
+    if (isPromise(obj) && (prop === 'then' || prop === 'catch' || prop === 'finally')) {
+      syncScopes(env)
+      if (prop === 'then') return promiseThen(obj, args[0], args[1], line, 'then')
+      if (prop === 'catch') return promiseThen(obj, undefined, args[0], line, 'catch')
+      return promiseFinally(obj, args[0], line)
+    }
+
+    // el.addEventListener() / el.removeEventListener()
+    if (obj && obj.__eventTarget && (prop === 'addEventListener' || prop === 'removeEventListener')) {
+      syncScopes(env)
+      if (prop === 'addEventListener') addListener(obj, args[0], args[1], args[2], line)
+      else removeListener(obj, args[0], args[1], line)
+      return undefined
+    }
+
+    // response.json() / response.text()
+    if (obj && obj.__response && (prop === 'json' || prop === 'text')) {
+      syncScopes(env)
+      tracer.addStep(line, 'promise', `response.${prop}() — reading the body; returns a promise for the ${prop === 'json' ? 'parsed data' : 'text'}`)
+      return readResponseBody(obj, prop)
+    }
+
+    // Promise.resolve() / Promise.reject()
+    if (obj === promiseConstructor && (prop === 'resolve' || prop === 'reject')) {
+      syncScopes(env)
+      tracer.addStep(line, 'promise', `Promise.${prop}(${args.map(a => fmt(a)).join(', ')})`)
+      return promiseConstructor[prop](args[0])
+    }
+
+    // Promise.all() / allSettled() / race() / any()
+    if (obj === promiseConstructor && (prop === 'all' || prop === 'allSettled' || prop === 'race' || prop === 'any')) {
+      const aggregate = promiseCombinator(prop, args[0], env, line)
+      syncScopes(env)
+      tracer.addStep(line, 'promise', `Promise.${prop}(${fmt(args[0])}) — ${combinatorRules[prop]}`)
+      return aggregate
+    }
+
+    // fn.bind(thisArg, ...args) — a new function whose `this` (and leading arguments) are fixed
+    if (obj instanceof TracedFunction && prop === 'bind') {
+      const bound = new TracedFunction(`bound ${obj.name}`, obj.params, obj.body, obj.closureEnv)
+      bound.boundTarget = obj
+      bound.boundThis = args[0]
+      bound.boundArgs = args.slice(1)
+      syncScopes(env)
+      tracer.addStep(line, 'call', `${obj.name}.bind(${args.map(a => fmt(a)).join(', ')}) — returns a new function whose this is always ${fmt(args[0])}`)
+      return bound
+    }
+
+    // fn.call(thisArg, ...args) / fn.apply(thisArg, argsArray)
+    if (obj instanceof TracedFunction && (prop === 'call' || prop === 'apply')) {
+      const fnArgs = prop === 'call' ? args.slice(1) : Array.isArray(args[1]) ? args[1] : []
+      return yield* invokeFunction(obj, obj.name, fnArgs, env, line, args[0], null, 'explicit')
+    }
+    if (typeof obj === 'function' && (prop === 'call' || prop === 'apply')) {
+      syncScopes(env)
+      const fnArgs = prop === 'call' ? args.slice(1) : Array.isArray(args[1]) ? args[1] : []
+      referencesDropped = true
+      const result = obj.apply(args[0], fnArgs)
+      tracer.addStep(line, 'call', `function.${prop}(${args.map(a => fmt(a)).join(', ')}) → ${fmt(result)}`)
+      return result
+    }
+
+    // arr.map(fn) / filter / reduce / ... — run by the interpreter so every callback call is traced
+    if (Array.isArray(obj) && tracedArrayMethods.has(prop) && args[0] instanceof TracedFunction) {
+      return yield* runArrayMethod(obj, prop, args, env, line)
+    }
+
+    // map.set() / set.add() / get / has / delete / clear — one step per entry touched
+    if (collectionType(obj) && collectionMethods.has(prop) && typeof obj[prop] === 'function') {
+      return collectionMethodCall(obj, prop, args, sourceOf(node.callee.object), env, line)
+    }
+
+    // Array/Object native methods
+    if (typeof obj === 'object' && obj !== null && typeof obj[prop] === 'function') {
+      // Wrap TracedFunction arguments so native methods can call them
       const wrappedArgs = args.map(arg => {
         if (arg instanceof TracedFunction) {
           // Return a native function that calls our TracedFunction
-          return function(...callArgs) {
-            return invokeFunction(arg, arg.name, callArgs, env, line)
+          const wrapper = function(...callArgs) {
+            return runSync(invokeFunction(arg, arg.name, callArgs, env, line))
           }
+          wrapper.holds = [arg]
+          return wrapper
         }
         return arg
       })
       
+      if (Array.isArray(obj) && droppingArrayMethods.has(prop)) referencesDropped = true
       const result = obj[prop](...wrappedArgs)
       syncScopes(env)
       tracer.addStep(line, 'call', `${prop}() on ${Array.isArray(obj) ? 'array' : 'object'}`)
@@ -1078,239 +1807,1394 @@ export function generateTrace(code) {
 
     // Method is a TracedFunction on the object
     if (obj && obj[prop] instanceof TracedFunction) {
-      return invokeFunction(obj[prop], prop, args, env, line, obj)
+      return yield* invokeFunction(obj[prop], prop, args, env, line, obj)
     }
 
     // Native function
     if (typeof obj[prop] === 'function') {
+      if (obj === Object) referencesDropped = true // Object.assign() / defineProperty() can overwrite slots
       return obj[prop](...args)
     }
 
-    throw new Error(`${prop} is not a function`)
+    throw errorAt(TypeError, `${prop} is not a function`, line)
   }
 
-  function getPromiseStub() {
-    return { __isPromiseConstructor: true }
-  }
-
-  function evalNewExpression(node, env) {
+  function* evalNewExpression(node, env) {
     const line = node.loc ? node.loc.start.line : null
-    const args = node.arguments.map(a => evalExpression(a, env))
+    const Ctor = yield* evalExpression(node.callee, env)
+    const args = yield* evalArguments(node.arguments, env)
 
     // new Promise(executor)
-    if (node.callee.type === 'Identifier' && node.callee.name === 'Promise') {
-      return handleNewPromise(node, args, env, line)
+    if (Ctor === promiseConstructor) {
+      return yield* handleNewPromise(args[0], env, line)
     }
 
     // new Array(), new Object(), etc - native constructors
-    const Ctor = evalExpression(node.callee, env)
     if (typeof Ctor === 'function' && !(Ctor instanceof TracedFunction)) {
       const result = new Ctor(...args)
+      if (result instanceof Error) attachStack(result, line)
       syncScopes(env)
       tracer.addStep(line, 'call', `new ${node.callee.name || 'Constructor'}(${args.map(a => fmt(a)).join(', ')})`)
       return result
     }
 
-    // TracedFunction as constructor
+    // TracedFunction (plain function or class) as constructor
     if (Ctor instanceof TracedFunction) {
-      const obj = {}
-      const ctorEnv = createEnv(Ctor.closureEnv, Ctor.name, 'function')
+      // `new` on a bound function constructs its target; the bound `this` is ignored
+      let target = Ctor
+      let ctorArgs = args
+      while (target.boundTarget) {
+        ctorArgs = [...target.boundArgs, ...ctorArgs]
+        target = target.boundTarget
+      }
+      return yield* constructTraced(target, ctorArgs, env, line)
+    }
+
+    return {}
+  }
+
+  /**
+   * Run a TracedFunction as a constructor. `newTarget` is the class `new` was
+   * called on, so a parent constructor reached through super() still builds
+   * an instance of the derived class.
+   */
+  function* constructTraced(Ctor, args, env, line, newTarget = Ctor) {
+    const isDerived = Ctor.isClassConstructor && Ctor.parentClass != null
+    const ctorEnv = createEnv(Ctor.closureEnv, Ctor.name, 'function')
+    ctorEnv.strict = Ctor.strict
+    ctorEnv.newTarget = newTarget
+    ctorEnv.classConstructor = Ctor
+    if (Ctor.isClassConstructor) ctorEnv.homeObject = Ctor.prototype
+
+    // Derived constructors have no `this` until super() returns
+    if (isDerived) {
+      envDefine(ctorEnv, 'this', undefined, 'const')
+      ctorEnv.thisUninitialized = true
+    } else {
+      const proto = newTarget.prototype
+      const obj = proto !== null && typeof proto === 'object' ? Object.create(proto) : {}
       envDefine(ctorEnv, 'this', obj, 'const')
-      
-      // Bind parameters
-      for (let i = 0; i < Ctor.params.length; i++) {
-        const param = Ctor.params[i]
-        const paramName = param.type === 'Identifier' ? param.name : `arg${i}`
-        envDefine(ctorEnv, paramName, args[i], 'let')
+    }
+
+    yield* bindParams(Ctor, ctorEnv, args)
+
+    // Hoist declarations
+    if (Ctor.body.type === 'BlockStatement') {
+      hoistDeclarations(Ctor.body.body, ctorEnv)
+    }
+
+    tracer.pushCall(`new ${Ctor.name}()`, line)
+    if (isDerived) tracer.setFrameThis(UNINITIALIZED, 'new', `new ${newTarget.name}() — \`this\` does not exist until super() returns`)
+    else tracer.setFrameThis(ctorEnv.vars.this.value, 'new', `new ${newTarget.name}() — \`this\` is the freshly created object`)
+    tracer.enterScope(Ctor.name, 'function')
+    syncScopes(ctorEnv)
+    tracer.addStep(line, 'call', `new ${Ctor.name}(${args.map(a => fmt(a)).join(', ')})`)
+    if (Ctor.body.type === 'BlockStatement') announceHoisting(Ctor.body.body, ctorEnv)
+
+    // Base classes initialize their fields before the constructor body runs
+    if (Ctor.isClassConstructor && !isDerived) {
+      yield* initializeFields(Ctor, ctorEnv.vars.this.value)
+    }
+
+    // Implicit `constructor(...args) { super(...args) }`
+    if (isDerived && Ctor.isDefaultConstructor) {
+      yield* superConstruct(ctorEnv, args, line)
+    }
+
+    // Execute constructor body
+    let result
+    if (Ctor.body.type === 'BlockStatement') {
+      for (const stmt of Ctor.body.body) {
+        result = yield* execStatement(stmt, ctorEnv)
+        if (result instanceof ReturnSignal) {
+          result = result.value
+          break
+        }
       }
-      
-      // Hoist declarations
-      if (Ctor.body.type === 'BlockStatement') {
-        hoistDeclarations(Ctor.body.body, ctorEnv)
+    } else {
+      result = yield* evalExpression(Ctor.body, ctorEnv)
+    }
+    if (result instanceof ReturnSignal) {
+      result = result.value
+    }
+
+    tracer.exitScope()
+    tracer.popCall()
+    syncScopes(env)
+
+    // If constructor explicitly returns an object, use that; otherwise use 'this'
+    if (result && typeof result === 'object' && result !== null) {
+      tracer.addStep(line, 'return', `Constructor returned ${fmt(result)}`)
+      return result
+    }
+    if (ctorEnv.thisUninitialized) {
+      throw errorAt(ReferenceError, `Must call super constructor in derived class ${Ctor.name} before returning`, line)
+    }
+    const obj = ctorEnv.vars.this.value
+    tracer.addStep(line, 'return', `Constructor returned this: ${fmt(obj)}`)
+    return obj
+  }
+
+  /** Find the nearest environment carrying the given function-level metadata */
+  function findEnvWith(env, key) {
+    let current = env
+    while (current) {
+      if (current[key] !== undefined) return current
+      current = current.parent
+    }
+    return null
+  }
+
+  function getThisBinding(env, line = null) {
+    let current = env
+    while (current) {
+      if ('this' in current.vars) {
+        if (current.thisUninitialized) {
+          throw errorAt(ReferenceError, `Must call super constructor in derived class before accessing 'this'`, line)
+        }
+        return current.vars.this.value
       }
-      
-      tracer.pushCall(`new ${Ctor.name}()`, line)
-      tracer.enterScope(Ctor.name, 'function')
-      syncScopes(ctorEnv)
-      tracer.addStep(line, 'call', `new ${Ctor.name}(${args.map(a => fmt(a)).join(', ')})`)
-      
-      // Execute constructor body
-      let result
-      if (Ctor.body.type === 'BlockStatement') {
-        for (const stmt of Ctor.body.body) {
-          result = execStatement(stmt, ctorEnv)
-          if (result instanceof ReturnSignal) {
-            result = result.value
-            break
-          }
+      if (!current.parent) break
+      current = current.parent
+    }
+    // Top-level code (and arrows defined there) see the global object — or nothing, in a module
+    return isModule ? undefined : createGlobalThisProxy(current)
+  }
+
+  function globalEnvOf(env) {
+    let current = env
+    while (current.parent) current = current.parent
+    return current
+  }
+
+  /** The nearest scope that binds `this` — where an arrow function gets its `this` from */
+  function thisScopeOf(env) {
+    let current = env
+    while (current && !('this' in current.vars)) current = current.parent
+    return current
+  }
+
+  /**
+   * Decide `this` for a call and which rule set it. Arrows ignore the call
+   * style entirely; for everything else a missing `this` falls back to the
+   * global object (sloppy mode).
+   */
+  function resolveThis(callee, thisArg, rule, env) {
+    if (callee.isArrow) {
+      const home = thisScopeOf(callee.closureEnv)
+      return {
+        value: getThisBinding(callee.closureEnv),
+        rule: 'lexical',
+        reason: `arrow function — \`this\` is inherited from ${home ? `${home.name}()` : 'top-level code'}`,
+      }
+    }
+    if (callee.strict && thisArg == null) {
+      const reason = rule === 'default'
+        ? `plain call ${callee.name}() in strict mode — no receiver, so \`this\` is undefined`
+        : `${callee.name}() given this = ${fmt(thisArg)} — strict mode keeps it as is`
+      return { value: rule === 'default' ? undefined : thisArg, rule, reason }
+    }
+    const value = thisArg == null ? createGlobalThisProxy(globalEnvOf(env)) : thisArg
+    const reasons = {
+      default: `plain call ${callee.name}() — no receiver, so \`this\` falls back to the global object`,
+      implicit: `called as a method — \`this\` is the object before the dot`,
+      explicit: thisArg == null
+        ? `${callee.name}() given this = ${fmt(thisArg)} explicitly — sloppy mode swaps in the global object`
+        : `${callee.name}() given \`this\` explicitly (call / apply / thisArg)`,
+      bound: `bound with bind() — \`this\` stays fixed however the function is called`,
+    }
+    return { value, rule, reason: reasons[rule] }
+  }
+
+  function getSuperProperty(env, prop, thisVal, line = null) {
+    const methodEnv = findEnvWith(env, 'homeObject')
+    if (!methodEnv) throw errorAt(SyntaxError, `'super' keyword unexpected here`, line)
+    const parentProto = Object.getPrototypeOf(methodEnv.homeObject)
+    return parentProto == null ? undefined : Reflect.get(parentProto, prop, thisVal)
+  }
+
+  function* evalSuperCall(args, env, line) {
+    const ctorEnv = findEnvWith(env, 'newTarget')
+    if (!ctorEnv || !ctorEnv.classConstructor.parentClass) {
+      throw errorAt(SyntaxError, `'super' keyword unexpected here`, line)
+    }
+    syncScopes(env)
+    tracer.addStep(line, 'call', `super(${args.map(a => fmt(a)).join(', ')}) — calling ${ctorEnv.classConstructor.parentClass.name} constructor`)
+    yield* superConstruct(ctorEnv, args, line)
+    syncScopes(env)
+    return undefined
+  }
+
+  /** Run the parent constructor and bind the resulting object as `this` */
+  function* superConstruct(ctorEnv, args, line) {
+    if (!ctorEnv.thisUninitialized) {
+      throw errorAt(ReferenceError, 'Super constructor may only be called once', line)
+    }
+    const Ctor = ctorEnv.classConstructor
+    const Parent = Ctor.parentClass
+    const newTarget = ctorEnv.newTarget
+
+    let obj
+    if (Parent instanceof TracedFunction) {
+      obj = yield* constructTraced(Parent, args, ctorEnv, line, newTarget)
+    } else {
+      // Native parent (Error, Array, ...) — build it, then re-link to the derived prototype
+      obj = new Parent(...args)
+      Object.setPrototypeOf(obj, newTarget.prototype)
+      if (obj instanceof Error) attachStack(obj, line, true)
+    }
+
+    ctorEnv.vars.this = { ...ctorEnv.vars.this, value: obj }
+    ctorEnv.thisUninitialized = false
+    tracer.setFrameThis(obj, 'new', `new ${newTarget.name}() — \`this\` is the object super() returned`)
+    yield* initializeFields(Ctor, obj)
+    return obj
+  }
+
+  function* initializeFields(Ctor, obj) {
+    for (const field of Ctor.instanceFields) {
+      const fieldEnv = createEnv(Ctor.closureEnv, `${Ctor.name} fields`, 'function')
+      fieldEnv.strict = true
+      envDefine(fieldEnv, 'this', obj, 'const')
+      fieldEnv.homeObject = Ctor.prototype
+      const value = field.value ? (yield* evalExpression(field.value, fieldEnv)) : undefined
+      if (value instanceof TracedFunction && value.name === 'anonymous') {
+        value.name = String(field.key)
+      }
+      defineField(obj, field.key, value)
+      syncScopes(fieldEnv)
+      tracer.addStep(field.line, 'assignment', `Field ${field.key} = ${fmt(value)}`)
+    }
+  }
+
+  function* execBlockOrStatement(node, env) {
+    if (node.type === 'BlockStatement') {
+      hoistDeclarations(node.body, env)
+      for (const stmt of node.body) {
+        const result = yield* execStatement(stmt, env)
+        if (result instanceof ReturnSignal) return result
+      }
+    } else {
+      return yield* execStatement(node, env)
+    }
+    return undefined
+  }
+
+  /**
+   * `frameDetail` labels the CallStack frame of a callback run by a built-in (e.g. "map · index 2").
+   * `thisRule` says how `thisArg` was supplied: 'implicit' for a receiver, 'explicit' for call/apply
+   * or a thisArg argument, 'bound' for bind(); a call without one is a plain ('default') call.
+   */
+  function* invokeFunction(callee, calleeName, args, env, line, thisArg = null, frameDetail = null, thisRule = thisArg == null ? 'default' : 'implicit') {
+    // resolve / reject handed out by a promise
+    if (typeof callee === 'function' && callee.__settle) {
+      syncScopes(env)
+      callee.__settle(args[0], line)
+      return undefined
+    }
+
+    // Native JS functions — their own errors (a TypeError from JSON.parse, say) pass through as is
+    if (typeof callee === 'function') {
+      const result = callee(...args)
+      if (result instanceof Error) attachStack(result, line) // Error("...") called without `new`
+      syncScopes(env)
+      tracer.addStep(line, 'call', `${calleeName}(${args.map(a => fmt(a)).join(', ')}) → ${fmt(result)}`)
+      return result
+    }
+
+    // User-defined traced function
+    if (callee instanceof TracedFunction) {
+      if (callee.boundTarget) {
+        const boundArgs = [...callee.boundArgs, ...args]
+        return yield* invokeFunction(callee.boundTarget, calleeName, boundArgs, env, line, callee.boundThis, frameDetail, 'bound')
+      }
+      if (callee.isClassConstructor) {
+        throw errorAt(TypeError, `Class constructor ${callee.name} cannot be invoked without 'new'`, line)
+      }
+      if (tracer.callDepth() >= MAX_CALL_DEPTH) {
+        throw errorAt(RangeError, `Maximum call stack size exceeded (${MAX_CALL_DEPTH} frames deep)`, line)
+      }
+
+      if (callee.isAsync && callee.isGenerator) {
+        throw errorAt(Error, `Async generator functions are not supported (${callee.name})`, line)
+      }
+      const binding = resolveThis(callee, thisArg, thisRule, env)
+      if (callee.isAsync) {
+        return startAsyncFunction(callee, args, env, line, binding)
+      }
+      if (callee.isGenerator) {
+        return yield* createGeneratorObject(callee, args, env, line, binding)
+      }
+
+      if (frameDetail) tracer.pushCall(`${callee.name}()`, line, 'callback', frameDetail)
+      else tracer.pushCall(`${callee.name}()`, line)
+      tracer.setFrameThis(binding.value, binding.rule, binding.reason)
+      syncScopes(env)
+      const withThis = binding.rule === 'explicit' || binding.rule === 'bound' ? ` with this = ${fmt(binding.value)}` : ''
+      tracer.addStep(line, 'call', `Calling ${callee.name}(${args.map(a => fmt(a)).join(', ')})${withThis}`)
+
+      const fnEnv = yield* createFunctionEnv(callee, args, env, binding)
+
+      tracer.enterScope(callee.name, 'function')
+      syncScopes(fnEnv)
+      if (callee.body.type === 'BlockStatement') announceHoisting(callee.body.body, fnEnv)
+
+      const result = yield* execFunctionBody(callee, fnEnv, line)
+
+      tracer.exitScope()
+      tracer.popCall()
+      syncScopes(env)
+      tracer.addStep(line, 'return', `${callee.name}() returned ${fmt(result)}`)
+
+      return result
+    }
+
+    if (callee === undefined || callee === null) {
+      throw errorAt(TypeError, `${calleeName} is not a function`, line)
+    }
+
+    if (callee === promiseConstructor) {
+      throw errorAt(TypeError, "Promise constructor cannot be invoked without 'new'", line)
+    }
+
+    throw errorAt(TypeError, `${calleeName} is not a function`, line)
+  }
+
+  /**
+   * Create the function scope: `this`, parameters and hoisted declarations.
+   * Arrow functions get no `this` of their own — lookups fall through to the
+   * scope they were defined in.
+   */
+  function* createFunctionEnv(callee, args, env, binding) {
+    const fnEnv = createEnv(callee.closureEnv, callee.name, 'function')
+    fnEnv.strict = callee.strict
+    if (!callee.isArrow) envDefine(fnEnv, 'this', binding.value, 'const')
+    if (callee.homeObject) fnEnv.homeObject = callee.homeObject
+
+    yield* bindParams(callee, fnEnv, args)
+
+    // Hoist declarations inside function body
+    if (callee.body.type === 'BlockStatement') {
+      hoistDeclarations(callee.body.body, fnEnv)
+    }
+    return fnEnv
+  }
+
+  /** Run a function body to completion and return its return value */
+  function* execFunctionBody(callee, fnEnv, line) {
+    if (callee.body.type !== 'BlockStatement') {
+      // Arrow function with expression body
+      const result = yield* evalExpression(callee.body, fnEnv)
+      syncScopes(fnEnv)
+      tracer.addStep(line, 'return', `Return ${fmt(result)}`)
+      return result
+    }
+
+    for (const stmt of callee.body.body) {
+      const result = yield* execStatement(stmt, fnEnv)
+      if (result instanceof ReturnSignal) return result.value
+    }
+    return undefined
+  }
+
+  // ─── Array callback methods ───────────────────────────────────────
+
+  /** Built-ins re-implemented here instead of handing the callback to the native method */
+  const tracedArrayMethods = new Set([
+    'forEach', 'map', 'filter', 'flatMap', 'find', 'findIndex', 'findLast', 'findLastIndex',
+    'some', 'every', 'reduce', 'reduceRight',
+  ])
+
+  function* runArrayMethod(arr, method, args, env, line) {
+    const [callback] = args
+    const heapId = tracer.allocateHeap(holdTemporary(arr), 'array')
+    const fromEnd = method === 'reduceRight' || method === 'findLast' || method === 'findLastIndex'
+    const indices = Array.from(arr.keys())
+    if (fromEnd) indices.reverse()
+
+    syncScopes(env)
+    tracer.addStep(line, 'call', `${method}() on ${fmt(arr)} — calling ${callback.name} once per element`)
+
+    // Hand one element to the callback, pointing at it in the heap while it runs
+    function* visit(index, callArgs, detail) {
+      tracer.focusHeap(heapId, index)
+      const thisArg = method === 'reduce' || method === 'reduceRight' ? undefined : args[1]
+      return yield* invokeFunction(callback, callback.name, callArgs, env, line, thisArg, `${method} · ${detail}`, thisArg == null ? 'default' : 'explicit')
+    }
+
+    let result
+    try {
+      result = yield* arrayMethodResult(arr, method, args, indices, visit, line)
+    } finally {
+      tracer.clearHeapFocus()
+    }
+
+    syncScopes(env)
+    tracer.addStep(line, 'return', `${method}() returned ${fmt(result)}`)
+    return result
+  }
+
+  /** The per-method semantics; holes are skipped exactly where the native methods skip them */
+  function* arrayMethodResult(arr, method, args, indices, visit, line) {
+    const element = i => `element ${fmt(arr[i])}, index ${i}`
+    const call = i => visit(i, [arr[i], i, arr], element(i))
+    const present = indices.filter(i => i in arr)
+
+    switch (method) {
+      case 'forEach':
+        for (const i of present) yield* call(i)
+        return undefined
+
+      case 'map': {
+        const mapped = new Array(arr.length)
+        for (const i of present) mapped[i] = yield* call(i)
+        return mapped
+      }
+
+      case 'filter': {
+        const kept = []
+        for (const i of present) if (yield* call(i)) kept.push(arr[i])
+        return kept
+      }
+
+      case 'flatMap': {
+        const flat = []
+        for (const i of present) {
+          const value = yield* call(i)
+          if (Array.isArray(value)) flat.push(...value)
+          else flat.push(value)
+        }
+        return flat
+      }
+
+      case 'find':
+      case 'findLast':
+        for (const i of indices) if (yield* call(i)) return arr[i]
+        return undefined
+
+      case 'findIndex':
+      case 'findLastIndex':
+        for (const i of indices) if (yield* call(i)) return i
+        return -1
+
+      case 'some':
+        for (const i of present) if (yield* call(i)) return true
+        return false
+
+      case 'every':
+        for (const i of present) if (!(yield* call(i))) return false
+        return true
+
+      case 'reduce':
+      case 'reduceRight': {
+        const remaining = [...present]
+        let acc
+        if (args.length >= 2) acc = args[1]
+        else if (remaining.length > 0) acc = arr[remaining.shift()]
+        else throw errorAt(TypeError, 'Reduce of empty array with no initial value', line)
+
+        for (const i of remaining) {
+          acc = yield* visit(i, [acc, arr[i], i, arr], `acc ${fmt(acc)}, ${element(i)}`)
+        }
+        return acc
+      }
+    }
+  }
+
+  // ─── Keyed collections ────────────────────────────────────────────
+
+  const collectionMethods = new Set(['set', 'get', 'has', 'add', 'delete', 'clear'])
+
+  // Keys (or members) in insertion order; weak collections report their shadow list
+  function entryKeys(collection) {
+    switch (collectionType(collection)) {
+      case 'map': return Array.from(Map.prototype.keys.call(collection))
+      case 'set': return Array.from(Set.prototype.values.call(collection))
+      default: return weakEntries(collection).map(([key]) => key)
+    }
+  }
+
+  /**
+   * Run a Map/Set/WeakMap/WeakSet method natively, then describe what it did
+   * to the entries, with the entry it touched highlighted on the heap card
+   */
+  function collectionMethodCall(collection, method, args, name, env, line) {
+    const [key] = args
+    const type = collectionType(collection)
+    const isMap = type === 'map' || type === 'weakmap'
+    const weak = type === 'weakmap' || type === 'weakset'
+    const count = n => `${n} ${isMap ? (n === 1 ? 'entry' : 'entries') : (n === 1 ? 'member' : 'members')}`
+    const sizeBefore = entryKeys(collection).length
+    // SameValueZero, as the collections compare keys: NaN matches NaN, +0 matches -0
+    const indexOfKey = keys => keys.findIndex(k => k === key || Object.is(k, key))
+    const existed = method !== 'clear' && indexOfKey(entryKeys(collection)) >= 0
+
+    if (method === 'set' || method === 'delete' || method === 'clear') referencesDropped = true
+    const result = collection[method](...args)
+    const keys = entryKeys(collection)
+
+    let outcome
+    switch (method) {
+      case 'set':
+        outcome = existed ? `— replaces the value stored under ${fmt(key)}`
+          : weak ? `— adds an entry held weakly: it will not keep ${fmt(key)} alive on its own`
+          : `— adds a new entry; the Map now holds ${count(keys.length)}`
+        break
+      case 'add':
+        outcome = existed ? `— ${fmt(key)} is already a member, nothing changes`
+          : weak ? `— ${fmt(key)} joins the WeakSet, but membership will not keep it alive on its own`
+          : `— ${fmt(key)} joins the Set, which now has ${count(keys.length)}`
+        break
+      case 'get':
+        outcome = existed ? `→ ${fmt(result)}` : '→ undefined — no entry with that key'
+        break
+      case 'has':
+        outcome = `→ ${result}`
+        break
+      case 'delete':
+        outcome = !existed ? `→ false — no ${isMap ? 'entry' : 'member'} to remove`
+          : isMap ? `→ true — the entry for ${fmt(key)} is removed` : `→ true — ${fmt(key)} is removed`
+        break
+      case 'clear':
+        outcome = `— all ${count(sizeBefore)} removed`
+        break
+    }
+
+    const index = method === 'clear' || method === 'delete' ? -1 : indexOfKey(keys)
+    if (index >= 0) tracer.focusHeap(tracer.allocateHeap(holdTemporary(collection), name), index)
+    syncScopes(env)
+    tracer.addStep(line, 'call', `${name}.${method}(${args.map(a => fmt(a)).join(', ')}) ${outcome}`)
+    tracer.clearHeapFocus()
+    return result
+  }
+
+  // ─── Destructuring ────────────────────────────────────────────────
+
+  /** Every name a binding pattern declares, in source order */
+  function patternNames(pattern) {
+    switch (pattern.type) {
+      case 'Identifier': return [pattern.name]
+      case 'AssignmentPattern': return patternNames(pattern.left)
+      case 'RestElement': return patternNames(pattern.argument)
+      case 'ArrayPattern': return pattern.elements.flatMap(el => (el ? patternNames(el) : []))
+      case 'ObjectPattern': return pattern.properties.flatMap(prop => patternNames(prop.type === 'RestElement' ? prop : prop.value))
+      default: return [] // member targets only appear in assignments
+    }
+  }
+
+  /**
+   * Bind `value` to a declaration, parameter or assignment target, taking
+   * object and array patterns apart recursively. `kind` is var/let/const or
+   * 'param' for declarations and null for plain assignment. Each bound name
+   * gets its own step unless `silent`.
+   */
+  function* bindPattern(pattern, value, env, kind, line, silent = false) {
+    switch (pattern.type) {
+      case 'Identifier':
+        bindName(pattern.name, value, env, kind, line, silent)
+        return
+      case 'MemberExpression': {
+        const obj = yield* evalExpression(pattern.object, env)
+        const prop = yield* getMemberKey(pattern, env)
+        noteSlotWrite(obj, prop)
+        obj[prop] = value
+        if (!silent) {
+          syncScopes(env)
+          tracer.addStep(line, 'assignment', `Set property ${prop} = ${fmt(value)}`)
+        }
+        return
+      }
+      case 'AssignmentPattern':
+        // Defaults only kick in for undefined, not for null or other falsy values
+        if (value === undefined) value = yield* evalExpression(pattern.right, env)
+        yield* bindPattern(pattern.left, value, env, kind, line, silent)
+        return
+      case 'ArrayPattern':
+        yield* bindArrayPattern(pattern, value, env, kind, line, silent)
+        return
+      case 'ObjectPattern':
+        yield* bindObjectPattern(pattern, value, env, kind, line, silent)
+        return
+      default:
+        throw errorAt(Error, `Unsupported binding target: ${pattern.type}`, line)
+    }
+  }
+
+  function bindName(name, value, env, kind, line, silent) {
+    if (kind === 'var' || kind === null) {
+      // var was already hoisted, just assign
+      envSet(env, name, value, line)
+    } else {
+      envDefine(env, name, value, kind === 'param' ? 'let' : kind)
+    }
+
+    // Allocate heap for objects/arrays
+    const declared = kind !== null && kind !== 'param'
+    if (declared && value !== null && typeof value === 'object' && !(value instanceof TracedFunction)) {
+      tracer.allocateHeap(value, name)
+    }
+
+    if (silent) return
+    syncScopes(env)
+    if (declared) {
+      tracer.addStep(line, 'variable', `Declared ${kind} ${name} = ${fmt(value)}`)
+    } else {
+      tracer.addStep(line, 'assignment', `${name} = ${fmt(value)}`)
+    }
+  }
+
+  /** Array patterns pull values one at a time from the iterator, so infinite generators work */
+  function* bindArrayPattern(pattern, value, env, kind, line, silent) {
+    const iterator = getIterator(value, env, line)
+    let done = false
+    const next = () => {
+      if (done) return undefined
+      const r = iterator.next()
+      done = !!r.done
+      return done ? undefined : r.value
+    }
+
+    for (const element of pattern.elements) {
+      if (element && element.type === 'RestElement') {
+        const rest = []
+        while (!done) {
+          const item = next()
+          if (!done) rest.push(item)
         }
+        yield* bindPattern(element.argument, rest, env, kind, line, silent)
       } else {
-        result = evalExpression(Ctor.body, ctorEnv)
+        const item = next()
+        // Holes (`[, second]`) skip a value without binding it
+        if (element) yield* bindPattern(element, item, env, kind, line, silent)
+      }
+    }
+    if (!done && iterator.return) iterator.return()
+  }
+
+  function* bindObjectPattern(pattern, value, env, kind, line, silent) {
+    if (value === null || value === undefined) {
+      throw errorAt(TypeError, `Cannot destructure ${fmt(value)} — it has no properties`, line)
+    }
+
+    const taken = []
+    for (const prop of pattern.properties) {
+      if (prop.type === 'RestElement') {
+        const rest = {}
+        for (const key of Object.keys(value)) {
+          if (!taken.includes(key)) rest[key] = value[key]
+        }
+        yield* bindPattern(prop.argument, rest, env, kind, line, silent)
+        continue
+      }
+
+      let key
+      if (prop.computed) key = yield* evalExpression(prop.key, env)
+      else key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value
+      taken.push(typeof key === 'symbol' ? key : String(key))
+
+      yield* bindPattern(prop.value, value[key], env, kind, line, silent)
+    }
+  }
+
+  // ─── Promises ─────────────────────────────────────────────────────
+
+  let promiseIdCounter = 1
+  const unhandledRejections = [] // rejected promises nobody has handled yet
+
+  /** Shared prototype of promises; native so host code can chain on them too */
+  const promisePrototype = {
+    then(onFulfilled, onRejected) {
+      return promiseThen(this, onFulfilled, onRejected, null, 'then')
+    },
+    catch(onRejected) {
+      return promiseThen(this, undefined, onRejected, null, 'catch')
+    },
+    finally(onFinally) {
+      return promiseFinally(this, onFinally, null)
+    },
+  }
+
+  /** The global `Promise`; `new Promise(...)` and its statics are intercepted by the interpreter */
+  const promiseConstructor = {
+    resolve(value) {
+      return promiseResolve(value)
+    },
+    reject(reason) {
+      const promise = createPromise()
+      rejectPromise(promise, reason)
+      return promise
+    },
+  }
+  Object.defineProperty(promiseConstructor, '__isPromiseConstructor', { value: true })
+
+  function createPromise() {
+    const promise = Object.create(promisePrototype)
+    Object.defineProperty(promise, '__promise', {
+      value: { id: promiseIdCounter++, state: 'pending', value: undefined, reactions: [], handled: false },
+    })
+    return promise
+  }
+
+  function isPromise(value) {
+    return value !== null && typeof value === 'object' && value.__promise !== undefined
+  }
+
+  function isCallable(value) {
+    return typeof value === 'function' || value instanceof TracedFunction
+  }
+
+  /** Promise.resolve semantics: promises pass through, anything else is wrapped */
+  function promiseResolve(value, line = null) {
+    if (isPromise(value)) return value
+    const promise = createPromise()
+    resolvePromise(promise, value, line)
+    return promise
+  }
+
+  /**
+   * The `resolve` / `reject` pair handed to an executor. Only the first call
+   * counts; later ones are ignored, exactly like the real thing.
+   */
+  function createResolvingFunctions(promise) {
+    let alreadyResolved = false
+    const make = (kind) => {
+      const settle = (value, line = null) => {
+        if (alreadyResolved) {
+          tracer.addStep(line, 'promise', `${kind}(${fmt(value)}) ignored — the promise was already resolved`)
+          return
+        }
+        alreadyResolved = true
+        if (kind === 'resolve') resolvePromise(promise, value, line, true)
+        else rejectPromise(promise, value, line, true)
+      }
+      const fn = function (value) {
+        settle(value)
+      }
+      Object.defineProperty(fn, 'name', { value: kind })
+      fn.__settle = settle
+      fn.holds = [promise]
+      return fn
+    }
+    return { resolve: make('resolve'), reject: make('reject') }
+  }
+
+  /** Resolve a promise: thenables are adopted in a microtask, anything else fulfills it */
+  function resolvePromise(promise, resolution, line = null, announce = false) {
+    if (promise.__promise.state !== 'pending') return
+    if (resolution === promise) {
+      rejectPromise(promise, new TypeError('Chaining cycle detected for promise'), line, announce)
+      return
+    }
+
+    if (resolution !== null && (typeof resolution === 'object' || typeof resolution === 'function')) {
+      let then
+      try {
+        then = resolution.then
+      } catch (err) {
+        rejectPromise(promise, err, line, announce)
+        return
+      }
+      if (isCallable(then)) {
+        // Settled later by the thenable itself, via a fresh resolve/reject pair
+        enqueueMicrotask(`adopt ${fmt(resolution)}`, function* (globalEnv) {
+          const { resolve, reject } = createResolvingFunctions(promise)
+          if (isPromise(resolution)) {
+            performThen(resolution, { onFulfilled: resolve, onRejected: reject, capability: null, label: 'adopt state' })
+            return
+          }
+          const depth = tracer.callDepth()
+          try {
+            if (then instanceof TracedFunction) {
+              yield* invokeFunction(then, 'then', [resolve, reject], globalEnv, null, resolution)
+            } else {
+              then.call(resolution, resolve, reject)
+            }
+          } catch (err) {
+            if (err instanceof StepLimitError) throw err
+            tracer.unwindCallStack(depth)
+            reject(err)
+          }
+        }, [resolution, promise])
+        tracer.addStep(line, 'promise', `Promise resolved with thenable ${fmt(resolution)} — it adopts that state in a microtask`)
+        return
+      }
+    }
+
+    settlePromise(promise, 'fulfilled', resolution, line, announce)
+  }
+
+  function rejectPromise(promise, reason, line = null, announce = false) {
+    if (promise.__promise.state !== 'pending') return
+    settlePromise(promise, 'rejected', reason, line, announce)
+  }
+
+  /** Settle a promise and move every waiting reaction to the Microtask Queue */
+  function settlePromise(promise, state, value, line, announce) {
+    const record = promise.__promise
+    record.state = state
+    record.value = value
+    const reactions = record.reactions
+    record.reactions = []
+
+    if (state === 'rejected' && !record.handled) unhandledRejections.push(promise)
+    for (const reaction of reactions) queueReactionJob(reaction, state, value)
+
+    if (announce || reactions.length > 0) {
+      const queued = reactions.length > 0
+        ? ` — ${reactions.length} waiting callback${reactions.length > 1 ? 's' : ''} moved to the Microtask Queue`
+        : ''
+      tracer.addStep(line, 'promise', `Promise ${state} with ${fmt(value)}${queued}`)
+    }
+  }
+
+  /**
+   * Register a reaction on a promise. Pending promises keep it until they
+   * settle; settled ones queue the job right away.
+   */
+  function performThen(promise, reaction) {
+    const record = promise.__promise
+    if (record.state === 'pending') {
+      record.reactions.push(reaction)
+    } else {
+      queueReactionJob(reaction, record.state, record.value)
+    }
+    record.handled = true
+  }
+
+  /** `.then` / `.catch` / `.finally`: returns the derived promise the handler's result settles */
+  function promiseThen(promise, onFulfilled, onRejected, line, method, isFinally = false) {
+    const derived = createPromise()
+    const state = promise.__promise.state
+    performThen(promise, { onFulfilled, onRejected, capability: derived, label: `.${method}() callback`, isFinally })
+    tracer.addStep(line, state === 'pending' ? 'promise' : 'microtask', state === 'pending'
+      ? `Promise.${method}() — promise is pending, the callback waits until it settles`
+      : `Promise.${method}() — promise already ${state}, callback added to Microtask Queue`)
+    return derived
+  }
+
+  function promiseFinally(promise, onFinally, line) {
+    return promiseThen(promise, onFinally, onFinally, line, 'finally', isCallable(onFinally))
+  }
+
+  function queueReactionJob(reaction, state, value) {
+    enqueueMicrotask(reaction.label, function* (globalEnv) {
+      yield* runReactionJob(reaction, state, value, globalEnv)
+    }, [reaction, value])
+  }
+
+  /** Run one `.then` / `.catch` / `.finally` handler and settle the promise it returned */
+  function* runReactionJob(reaction, state, value, globalEnv) {
+    const derived = reaction.capability
+    const handler = state === 'fulfilled' ? reaction.onFulfilled : reaction.onRejected
+
+    if (reaction.internal) {
+      reaction.internal(state, value, globalEnv)
+      return
+    }
+
+    // No handler for this outcome: the value or reason passes down the chain
+    if (!isCallable(handler)) {
+      syncScopes(globalEnv)
+      tracer.addStep(null, 'promise', state === 'fulfilled'
+        ? `No fulfillment handler — ${fmt(value)} passes through to the next promise`
+        : `No rejection handler — rejection ${fmt(value)} propagates to the next promise`)
+      if (!derived) return
+      if (state === 'fulfilled') resolvePromise(derived, value)
+      else rejectPromise(derived, value)
+      return
+    }
+
+    const depth = tracer.callDepth()
+    let result
+    try {
+      result = yield* invokeFunction(handler, handler.name, reaction.isFinally ? [] : [value], globalEnv, null)
+    } catch (err) {
+      if (err instanceof StepLimitError) throw err
+      tracer.unwindCallStack(depth)
+      if (derived) rejectPromise(derived, err)
+      return
+    }
+    if (!derived) return
+
+    if (reaction.isFinally) {
+      // finally() keeps the original outcome once its own result has settled
+      const passThrough = createPromise()
+      performThen(promiseResolve(result), {
+        capability: null,
+        label: '.finally() pass-through',
+        holds: [passThrough, value],
+        internal(finallyState, finallyValue) {
+          if (finallyState === 'rejected') rejectPromise(passThrough, finallyValue)
+          else if (state === 'rejected') rejectPromise(passThrough, value)
+          else resolvePromise(passThrough, value)
+        },
+      })
+      resolvePromise(derived, passThrough)
+      return
+    }
+    resolvePromise(derived, result)
+  }
+
+  /** `holds` lists the values `run` closes over, so the mark phase can see them */
+  function enqueueMicrotask(label, run, holds = []) {
+    pendingMicrotasks.push({ label, run, holds })
+    tracer.addToMicrotaskQueue(label, null)
+  }
+
+  /** Report rejections still unhandled at the end of a microtask checkpoint */
+  function reportUnhandledRejections(globalEnv) {
+    while (unhandledRejections.length > 0) {
+      const promise = unhandledRejections.shift()
+      if (promise.__promise.handled) continue
+      const reason = promise.__promise.value
+      syncScopes(globalEnv)
+      tracer.logError(`Uncaught (in promise) ${reason instanceof Error && reason.__frames ? reason.stack : fmt(reason)}`)
+      tracer.addStep(null, 'unhandled-rejection', `Uncaught (in promise) ${fmt(reason)} — the rejection had no handler`, {
+        errorStack: (reason && reason.__frames) || null,
+      })
+    }
+  }
+
+  const combinatorRules = {
+    all: 'fulfills when every input fulfills, rejects on the first rejection',
+    allSettled: 'fulfills once every input has settled, whatever the outcome',
+    race: 'settles the same way as the first input to settle',
+    any: 'fulfills with the first fulfillment, rejects only if every input rejects',
+  }
+
+  /**
+   * Promise.all / allSettled / race / any. Every input is turned into a
+   * promise and watched by an internal reaction; the aggregate promise
+   * settles from those. The result (or, for any(), errors) array lives on
+   * the heap so it can be watched filling up.
+   */
+  function promiseCombinator(method, iterable, env, line) {
+    const aggregate = createPromise()
+    const values = []
+    const heapId = method === 'race'
+      ? null
+      : tracer.allocateHeap(values, `Promise.${method} ${method === 'any' ? 'errors' : 'result'}`)
+    let remaining = 1 // held open until every input has been registered
+
+    const finish = (announce) => {
+      if (method === 'any') {
+        rejectPromise(aggregate, new AggregateError(values, 'All promises were rejected'), null, announce)
+      } else if (method !== 'race') {
+        resolvePromise(aggregate, values, null, announce)
+      }
+    }
+
+    const onInputSettled = (index, state, value, globalEnv) => {
+      syncScopes(globalEnv)
+      const what = `Promise.${method}: input #${index + 1} ${state} with ${fmt(value)}`
+      if (aggregate.__promise.state !== 'pending') {
+        tracer.addStep(null, 'promise', `${what} — ignored, Promise.${method} already settled`)
+        return
       }
-      
-      tracer.exitScope()
-      tracer.popCall()
-      syncScopes(env)
-      
-      // If constructor explicitly returns an object, use that; otherwise use 'this'
-      if (result && typeof result === 'object' && result !== null) {
-        tracer.addStep(line, 'return', `Constructor returned ${fmt(result)}`)
-        return result
-      } else {
-        tracer.addStep(line, 'return', `Constructor returned this: ${fmt(obj)}`)
-        return obj
+
+      // Outcomes that settle the aggregate straight away
+      if (method === 'race' || (method === 'all' && state === 'rejected') || (method === 'any' && state === 'fulfilled')) {
+        tracer.addStep(null, 'promise', `${what} — Promise.${method} settles with it`)
+        if (state === 'fulfilled') resolvePromise(aggregate, value)
+        else rejectPromise(aggregate, value)
+        return
       }
+
+      values[index] = method !== 'allSettled'
+        ? value
+        : state === 'fulfilled' ? { status: state, value } : { status: state, reason: value }
+      tracer.updateHeap(heapId, values)
+      remaining--
+      tracer.addStep(null, 'promise', `${what} — ${remaining === 0 ? 'that was the last one' : `${remaining} still pending`}`)
+      if (remaining === 0) finish(true)
     }
 
-    return {}
+    let index = 0
+    try {
+      for (const item of iterate(iterable, env, line)) {
+        const i = index++
+        values.length = index
+        remaining++
+        performThen(promiseResolve(item, line), {
+          capability: null,
+          label: `Promise.${method} input #${index}`,
+          holds: [aggregate, values],
+          internal: (state, value, globalEnv) => onInputSettled(i, state, value, globalEnv),
+        })
+      }
+    } catch (err) {
+      if (err instanceof StepLimitError) throw err
+      rejectPromise(aggregate, err, line, true)
+      return aggregate
+    }
+    if (heapId !== null) tracer.updateHeap(heapId, values)
+
+    // An empty input settles right away
+    remaining--
+    if (remaining === 0) finish(false)
+    return aggregate
   }
 
-  function handleNewPromise(node, args, env, line) {
-    const executor = args[0] // should be TracedFunction
-    const promiseObj = { __isPromise: true, __resolvedValue: undefined }
+  function* handleNewPromise(executor, env, line) {
+    if (!isCallable(executor)) {
+      throw errorAt(TypeError, `Promise resolver ${fmt(executor)} is not a function`, line)
+    }
+    const promise = createPromise()
+    const { resolve, reject } = createResolvingFunctions(promise)
 
     syncScopes(env)
     tracer.addStep(line, 'promise', 'new Promise() — executor runs synchronously')
 
-    if (executor instanceof TracedFunction) {
-      // Create resolve/reject functions as native functions
-      const resolveFn = function resolve(val) {
-        promiseObj.__resolvedValue = val
-      }
-      const rejectFn = function reject(reason) {
-        promiseObj.__rejectedValue = reason
-      }
-
-      // Call the executor with resolve and reject
-      tracer.pushCall('Promise(executor)', line)
-      invokeFunction(executor, 'Promise-executor', [resolveFn, rejectFn], env, line)
-      tracer.popCall()
+    // An executor that throws rejects the promise instead of propagating
+    tracer.pushCall('Promise(executor)', line)
+    const depth = tracer.callDepth()
+    try {
+      yield* invokeFunction(executor, 'Promise-executor', [resolve, reject], env, line)
+    } catch (err) {
+      if (err instanceof StepLimitError) throw err
+      tracer.unwindCallStack(depth)
       syncScopes(env)
+      reject.__settle(err, line)
     }
+    tracer.popCall()
+    syncScopes(env)
 
-    return promiseObj
+    return promise
   }
 
-  function execBlockOrStatement(node, env) {
-    if (node.type === 'BlockStatement') {
-      hoistDeclarations(node.body, env)
-      for (const stmt of node.body) {
-        const result = execStatement(stmt, env)
-        if (result instanceof ReturnSignal) return result
-      }
-    } else {
-      return execStatement(node, env)
-    }
-    return undefined
+  // ─── Async functions ──────────────────────────────────────────────
+
+  /**
+   * Call an async function. Its body runs as a coroutine: it executes
+   * synchronously up to the first `await`, then its frame leaves the call
+   * stack and a microtask is queued to resume it with the awaited value.
+   * The caller immediately receives the function's promise.
+   */
+  function startAsyncFunction(callee, args, env, line, binding) {
+    const co = {
+      fn: callee,
+      line,
+      env: null,
+      promise: createPromise(),
+      thisBinding: binding,
+    }
+    co.gen = (function* () {
+      co.env = yield* createFunctionEnv(callee, args, env, binding)
+      syncScopes(co.env)
+      if (callee.body.type === 'BlockStatement') announceHoisting(callee.body.body, co.env)
+      return yield* execFunctionBody(callee, co.env, line)
+    })()
+
+    tracer.pushCall(`${callee.name}()`, line, 'async')
+    tracer.setFrameThis(binding.value, binding.rule, binding.reason)
+    syncScopes(env)
+    tracer.addStep(line, 'call', `Calling async ${callee.name}(${args.map(a => fmt(a)).join(', ')})`)
+
+    resumeAsyncFunction(co, 'next', undefined, env)
+    return co.promise
   }
 
-  function invokeFunction(callee, calleeName, args, env, line, thisArg = null) {
-    // Native JS functions
-    if (typeof callee === 'function') {
-      try {
-        const result = callee(...args)
-        syncScopes(env)
-        tracer.addStep(line, 'call', `${calleeName}(${args.map(a => fmt(a)).join(', ')}) → ${fmt(result)}`)
-        return result
-      } catch (err) {
-        throw new Error(`Error calling ${calleeName}: ${err.message}`)
-      }
-    }
+  /**
+   * Advance a suspended async function until it awaits again or finishes.
+   * `outerEnv` is whatever scope is active once the frame leaves the stack.
+   */
+  function resumeAsyncFunction(co, mode, value, outerEnv) {
+    const name = co.fn.name
+    const depth = tracer.callDepth()
 
-    // User-defined traced function
-    if (callee instanceof TracedFunction) {
-      tracer.pushCall(`${callee.name}()`, line)
+    let r
+    try {
+      r = mode === 'throw' ? co.gen.throw(value) : co.gen.next(value)
+    } catch (err) {
+      if (err instanceof StepLimitError) throw err
+      tracer.unwindCallStack(depth - 1)
+      syncScopes(outerEnv)
+      tracer.addStep(co.line, 'return', `async ${name}() threw ${fmt(err)} — its promise is rejected`)
+      rejectPromise(co.promise, err, co.line)
+      return
+    }
+
+    tracer.unwindCallStack(depth - 1)
+
+    if (r.done) {
+      syncScopes(outerEnv)
+      tracer.addStep(co.line, 'return', `async ${name}() finished — its promise resolves with ${fmt(r.value)}`)
+      resolvePromise(co.promise, r.value, co.line)
+      return
+    }
+
+    // Suspended at `await`: the continuation is a reaction on the awaited promise
+    const signal = r.value
+    const awaited = promiseResolve(signal.value, signal.line)
+    performThen(awaited, {
+      capability: null,
+      label: `resume ${name}()`,
+      holds: [co],
+      internal(state, settled, globalEnv) {
+        const rejected = state === 'rejected'
+        tracer.pushCall(`${name}()`, signal.line, 'async')
+        tracer.setFrameThis(co.thisBinding.value, co.thisBinding.rule, co.thisBinding.reason)
+        syncScopes(co.env)
+        tracer.addStep(signal.line, 'await-resume', rejected
+          ? `${name}() resumed — awaited promise rejected with ${fmt(settled)}`
+          : `${name}() resumed — await produced ${fmt(settled)}`)
+
+        resumeAsyncFunction(co, rejected ? 'throw' : 'next', settled, globalEnv)
+      },
+    })
+    syncScopes(outerEnv)
+    tracer.addStep(signal.line, 'await-suspend', awaited.__promise.state === 'pending'
+      ? `await ${fmt(signal.value)} — ${name}() suspended and popped off the call stack; it resumes once the promise settles`
+      : `await ${fmt(signal.value)} — ${name}() suspended and popped off the call stack; it will resume from the Microtask Queue`)
+  }
+
+  /**
+   * Run (or resume) a module's top-level code. Modules may `await` outside any
+   * function, so the body is a coroutine too: at an `await` main() leaves the
+   * call stack and comes back from the Microtask Queue once the awaited
+   * promise settles. `baseDepth` is the call depth below main()'s frame.
+   */
+  function runModuleBody(gen, mode, value, globalEnv, baseDepth) {
+    const r = mode === 'throw' ? gen.throw(value) : gen.next(value)
+    if (r.done) return
+
+    tracer.unwindCallStack(baseDepth)
+    const signal = r.value
+    const awaited = promiseResolve(signal.value, signal.line)
+    performThen(awaited, {
+      capability: null,
+      label: 'resume main()',
+      holds: [globalEnv],
+      internal(state, settled) {
+        const rejected = state === 'rejected'
+        const depth = tracer.callDepth()
+        tracer.pushCall('main()', signal.line)
+        tracer.setFrameThis(undefined, 'global', 'module code — top-level `this` is undefined')
+        syncScopes(globalEnv)
+        tracer.addStep(signal.line, 'await-resume', rejected
+          ? `Module resumed — awaited promise rejected with ${fmt(settled)}`
+          : `Module resumed — top-level await produced ${fmt(settled)}`)
+
+        runModuleBody(gen, rejected ? 'throw' : 'next', settled, globalEnv, depth)
+      },
+    })
+    syncScopes(globalEnv)
+    tracer.addStep(signal.line, 'await-suspend', `top-level await ${fmt(signal.value)} — the module is suspended and main() leaves the call stack; it resumes from the Microtask Queue once the promise settles`)
+  }
+
+  // ─── Generators ───────────────────────────────────────────────────
+
+  let generatorReturnValue // what the latest return() was called with, for a yield* it interrupts
+
+  /** Shared prototype of generator objects; native so host iteration (for-of, spread) works too */
+  const generatorPrototype = {
+    next(value) {
+      return resumeGenerator(this.__generator, 'next', value)
+    },
+    return(value) {
+      return resumeGenerator(this.__generator, 'return', value)
+    },
+    throw(err) {
+      return resumeGenerator(this.__generator, 'throw', err)
+    },
+    [Symbol.iterator]() {
+      return this
+    },
+  }
+
+  /**
+   * Call a generator function: parameters are bound now, but the body does
+   * not start until the first next(). The returned object drives the body
+   * as a coroutine that pauses at every `yield`.
+   */
+  function* createGeneratorObject(callee, args, env, line, binding) {
+    syncScopes(env)
+    tracer.addStep(line, 'call', `Calling generator ${callee.name}(${args.map(a => fmt(a)).join(', ')}) — body does not run yet, a generator object is returned`)
+
+    const fnEnv = yield* createFunctionEnv(callee, args, env, binding)
+    const co = {
+      fn: callee,
+      line,
+      env: fnEnv,
+      callerEnv: env,
+      thisBinding: binding,
+      state: 'suspendedStart',
+    }
+    co.gen = (function* () {
+      // The creation phase shows once the body actually starts, on the first next()
+      if (callee.body.type === 'BlockStatement') announceHoisting(callee.body.body, fnEnv)
+      return yield* execFunctionBody(callee, fnEnv, line)
+    })()
+    const genObj = Object.create(generatorPrototype)
+    Object.defineProperty(genObj, '__generator', { value: co })
+    return genObj
+  }
+
+  /**
+   * Resume a generator with next/return/throw. Its frame is pushed on top of
+   * the caller, runs until the next `yield` (or the end of the body), and is
+   * popped again as control goes back to the caller.
+   */
+  function resumeGenerator(co, mode, value, env = co.callerEnv, line = null) {
+    const name = co.fn.name
+    if (co.state === 'executing') {
+      throw errorAt(TypeError, `Generator ${name} is already running`, line)
+    }
+    if (co.state === 'suspendedStart' && mode !== 'next') {
+      co.state = 'completed'
+    }
+    if (co.state === 'completed') {
       syncScopes(env)
-      tracer.addStep(line, 'call', `Calling ${callee.name}(${args.map(a => fmt(a)).join(', ')})`)
+      tracer.addStep(line, 'call', `${name}.${mode}(${value === undefined ? '' : fmt(value)}) — generator already finished`)
+      if (mode === 'throw') throw value
+      return { value: mode === 'return' ? value : undefined, done: true }
+    }
 
-      // Create function scope
-      const fnEnv = createEnv(callee.closureEnv, callee.name, 'function')
+    const depth = tracer.callDepth()
+    const starting = co.state === 'suspendedStart'
+    tracer.pushCall(`${name}()`, line, 'generator')
+    tracer.setFrameThis(co.thisBinding.value, co.thisBinding.rule, co.thisBinding.reason)
+    syncScopes(co.env)
+    tracer.addStep(line, 'call', `${name}.${mode}(${value === undefined ? '' : fmt(value)}) — ${starting ? 'starting' : 'resuming'} ${name}()`)
 
-      // Set 'this' - if thisArg is null/undefined, use global object (non-strict mode)
-      // Find the global environment (the one with no parent)
-      let globalEnv = env
-      while (globalEnv.parent) {
-        globalEnv = globalEnv.parent
+    co.state = 'executing'
+    let r
+    try {
+      if (mode === 'throw') r = co.gen.throw(value)
+      else if (mode === 'return') {
+        generatorReturnValue = value
+        r = co.gen.return(value)
       }
-      
-      // Create a global object that references global variables
-      const globalThis = thisArg !== null && thisArg !== undefined ? thisArg : createGlobalThisProxy(globalEnv)
-      envDefine(fnEnv, 'this', globalThis, 'const')
-
-      // Bind parameters
-      for (let i = 0; i < callee.params.length; i++) {
-        const param = callee.params[i]
-        let paramName = 'arg' + i
-        let paramVal = args[i]
-
-        if (param.type === 'Identifier') {
-          paramName = param.name
-        } else if (param.type === 'AssignmentPattern') {
-          // Default parameter
-          paramName = param.left.name
-          if (paramVal === undefined) {
-            paramVal = evalExpression(param.right, fnEnv)
-          }
-        } else if (param.type === 'RestElement') {
-          paramName = param.argument.name
-          paramVal = args.slice(i)
-        }
+      else r = co.gen.next(value)
+    } catch (err) {
+      co.state = 'completed'
+      tracer.unwindCallStack(depth)
+      throw err
+    }
 
-        envDefine(fnEnv, paramName, paramVal, 'let')
-      }
+    if (r.done) {
+      co.state = 'completed'
+      tracer.unwindCallStack(depth)
+      syncScopes(env)
+      tracer.addStep(line, 'return', `${name}() finished — {value: ${fmt(r.value)}, done: true}`)
+      return { value: r.value, done: true }
+    }
 
-      // Hoist declarations inside function body
-      if (callee.body.type === 'BlockStatement') {
-        hoistDeclarations(callee.body.body, fnEnv)
-      }
+    const signal = r.value
+    if (signal.kind !== 'yield') {
+      co.state = 'completed'
+      tracer.unwindCallStack(depth)
+      throw errorAt(Error, `await is not supported inside generator ${name}`, line)
+    }
+    co.state = 'suspendedYield'
+    tracer.addStep(signal.line, 'yield', `yield ${fmt(signal.value)} — ${name}() paused, control returns to the caller`)
+    tracer.unwindCallStack(depth)
+    syncScopes(env)
+    return { value: signal.value, done: false }
+  }
 
-      tracer.enterScope(callee.name, 'function')
-      syncScopes(fnEnv)
+  function* evalYieldExpression(node, env) {
+    const line = node.loc ? node.loc.start.line : null
+    const value = node.argument ? yield* evalExpression(node.argument, env) : undefined
+    if (!node.delegate) {
+      return yield new SuspendSignal('yield', value, line)
+    }
 
-      // Execute function body
-      let result
-      if (callee.body.type === 'BlockStatement') {
-        for (const stmt of callee.body.body) {
-          result = execStatement(stmt, fnEnv)
-          if (result instanceof ReturnSignal) {
-            result = result.value
-            break
-          }
+    // yield* — forward every value of the inner iterable, and however the
+    // outer generator is resumed: next(v), throw(e) or return(v)
+    const iterator = getIterator(value, env, line)
+    let received
+    let mode = 'next'
+    while (true) {
+      let r
+      if (mode === 'throw') {
+        if (!iterator.throw) {
+          // Nothing to hand the error to: close the inner iterator, then fail the delegation
+          if (iterator.return) iterator.return()
+          throw errorAt(TypeError, 'The iterator does not provide a \'throw\' method', line)
         }
+        r = iterator.throw(received)
       } else {
-        // Arrow function with expression body
-        result = evalExpression(callee.body, fnEnv)
-        syncScopes(fnEnv)
-        tracer.addStep(line, 'return', `Return ${fmt(result)}`)
+        r = iterator.next(received)
       }
+      if (r.done) return r.value
 
-      if (result instanceof ReturnSignal) {
-        result = result.value
+      let resumed = false
+      try {
+        received = yield new SuspendSignal('yield', r.value, line)
+        mode = 'next'
+        resumed = true
+      } catch (err) {
+        received = err
+        mode = 'throw'
+        resumed = true
+      } finally {
+        // Neither resumed nor thrown into: the outer generator's return() is unwinding
+        // through here, so the inner iterator gets to run its own finally blocks first
+        if (!resumed && iterator.return) {
+          let inner = iterator.return(generatorReturnValue)
+          while (!inner.done) inner = iterator.next(yield new SuspendSignal('yield', inner.value, line))
+          return inner.value
+        }
       }
-
-      tracer.exitScope()
-      tracer.popCall()
-      syncScopes(env)
-      tracer.addStep(line, 'return', `${callee.name}() returned ${fmt(result)}`)
-
-      return result
     }
+  }
 
-    if (callee === undefined || callee === null) {
-      throw new Error(`${calleeName} is not a function`)
+  /**
+   * Get a host-usable iterator for any iterable, including generator objects
+   * and user-defined iterables whose [Symbol.iterator]/next are traced code.
+   */
+  function getIterator(iterable, env, line) {
+    const method = iterable == null ? undefined : iterable[Symbol.iterator]
+    let iterator
+    if (method instanceof TracedFunction) {
+      iterator = runSync(invokeFunction(method, '[Symbol.iterator]', [], env, line, iterable))
+    } else if (typeof method === 'function') {
+      iterator = method.call(iterable)
+    } else {
+      throw errorAt(TypeError, `${fmt(iterable)} is not iterable`, line)
     }
 
-    // Fallback: try to call it
-    if (typeof callee === 'object' && callee.__isPromiseConstructor) {
-      return { __isPromise: true }
+    if (iterator && iterator.__generator) {
+      const co = iterator.__generator
+      return {
+        next: v => resumeGenerator(co, 'next', v, env, line),
+        return: v => resumeGenerator(co, 'return', v, env, line),
+        throw: e => resumeGenerator(co, 'throw', e, env, line),
+      }
+    }
+    if (iterator && iterator.next instanceof TracedFunction) {
+      const callTraced = (key, args) => runSync(invokeFunction(iterator[key], key, args, env, line, iterator))
+      return {
+        next: v => callTraced('next', [v]),
+        return: iterator.return instanceof TracedFunction ? v => callTraced('return', [v]) : undefined,
+        throw: iterator.throw instanceof TracedFunction ? e => callTraced('throw', [e]) : undefined,
+      }
     }
+    return iterator
+  }
+
+  /** Wrap getIterator() so host `for...of` can consume it (and close it on break) */
+  function iterate(iterable, env, line) {
+    return { [Symbol.iterator]: () => getIterator(iterable, env, line) }
+  }
 
-    throw new Error(`${calleeName} is not a function`)
+  function* bindParams(callee, fnEnv, args) {
+    for (let i = 0; i < callee.params.length; i++) {
+      const param = callee.params[i]
+      // Parameters show up in the call step's scope rather than as steps of their own
+      if (param.type === 'RestElement') {
+        yield* bindPattern(param.argument, args.slice(i), fnEnv, 'param', null, true)
+      } else {
+        yield* bindPattern(param, args[i], fnEnv, 'param', null, true)
+      }
+    }
   }
 
   // Create a proxy object that accesses global environment variables
   function createGlobalThisProxy(globalEnv) {
     const proxy = {}
+    Object.defineProperty(proxy, '__globalThis', { value: true })
     // Copy all global variables to the proxy object
     for (const key in globalEnv.vars) {
       Object.defineProperty(proxy, key, {
@@ -1328,179 +3212,637 @@ export function generateTrace(code) {
   }
 
   function evalFunctionExpression(node, env) {
+    return createFunction(node, env)
+  }
+
+  /**
+   * Build a class: the constructor becomes a TracedFunction with a real
+   * `prototype` object, methods live on that prototype, static members live
+   * on the class itself, and instance fields are kept for construction time.
+   */
+  function* evalClass(node, env) {
     const name = node.id ? node.id.name : 'anonymous'
-    return new TracedFunction(name, node.params, node.body, env)
+    const parent = node.superClass ? (yield* evalExpression(node.superClass, env)) : null
+    if (node.superClass && parent !== null && !(parent instanceof TracedFunction) && typeof parent !== 'function') {
+      throw errorAt(TypeError, `Class extends value ${fmt(parent)} is not a constructor or null`, node.loc ? node.loc.start.line : null)
+    }
+
+    // Named class expressions can refer to themselves from inside the body
+    const classEnv = node.type === 'ClassExpression' && node.id
+      ? createEnv(env, name, 'block')
+      : env
+
+    const ctorDef = node.body.body.find(el => el.type === 'MethodDefinition' && el.kind === 'constructor')
+    const cls = ctorDef
+      ? new TracedFunction(name, ctorDef.value.params, ctorDef.value.body, classEnv)
+      : new TracedFunction(name, [], { type: 'BlockStatement', body: [] }, classEnv)
+    cls.isClassConstructor = true
+    cls.isDefaultConstructor = !ctorDef
+    cls.strict = true // class bodies are always strict mode code
+    cls.parentClass = parent
+    cls.instanceFields = []
+
+    const parentProto = parent ? parent.prototype : Object.prototype
+    cls.prototype = Object.create(parentProto === undefined ? Object.prototype : parentProto)
+    Object.defineProperty(cls.prototype, 'constructor', { value: cls, writable: true, configurable: true })
+    // Static members are inherited through the class objects themselves
+    if (parent instanceof TracedFunction) Object.setPrototypeOf(cls, parent)
+
+    if (classEnv !== env) envDefine(classEnv, name, cls, 'const')
+
+    const staticInits = []
+    for (const el of node.body.body) {
+      if (el.type === 'MethodDefinition' && el.kind === 'constructor') continue
+      const target = el.static ? cls : cls.prototype
+
+      if (el.type === 'MethodDefinition') {
+        const key = yield* getClassElementKey(el, classEnv)
+        const fn = createFunction(el.value, classEnv, functionNameForKey(key))
+        fn.homeObject = target
+        fn.strict = true
+        if (el.kind === 'method') {
+          Object.defineProperty(target, key, { value: fn, writable: true, configurable: true })
+        } else {
+          defineTracedAccessor(target, key, el.kind, fn, classEnv, el.loc ? el.loc.start.line : null)
+        }
+      } else if (el.type === 'PropertyDefinition') {
+        const field = {
+          key: yield* getClassElementKey(el, classEnv),
+          value: el.value,
+          line: el.loc ? el.loc.start.line : null,
+        }
+        if (el.static) staticInits.push(field)
+        else cls.instanceFields.push(field)
+      } else if (el.type === 'StaticBlock') {
+        staticInits.push({ block: el, line: el.loc ? el.loc.start.line : null })
+      }
+    }
+
+    // Static fields and static blocks run once, in order, with `this` = the class
+    for (const init of staticInits) {
+      const staticEnv = createEnv(classEnv, `${name} static`, 'function')
+      staticEnv.strict = true
+      envDefine(staticEnv, 'this', cls, 'const')
+      staticEnv.homeObject = cls
+      if (init.block) {
+        for (const stmt of init.block.body) yield* execStatement(stmt, staticEnv)
+        continue
+      }
+      const value = init.value ? (yield* evalExpression(init.value, staticEnv)) : undefined
+      defineField(cls, init.key, value)
+      syncScopes(staticEnv)
+      tracer.addStep(init.line, 'assignment', `Static field ${name}.${init.key} = ${fmt(value)}`)
+    }
+
+    return cls
+  }
+
+  // Private `#names` are stored as non-enumerable keys so Object.keys() stays honest
+  function defineField(target, key, value) {
+    const isPrivate = typeof key === 'string' && key.startsWith('#')
+    Object.defineProperty(target, key, { value, writable: true, enumerable: !isPrivate, configurable: true })
+  }
+
+  // Methods keyed by a symbol are named like `[Symbol.iterator]`
+  function functionNameForKey(key) {
+    return typeof key === 'symbol' ? `[${key.description}]` : String(key)
+  }
+
+  function* getClassElementKey(el, env) {
+    if (el.computed) return yield* evalExpression(el.key, env)
+    if (el.key.type === 'PrivateIdentifier') return `#${el.key.name}`
+    if (el.key.type === 'Identifier') return el.key.name
+    return el.key.value
   }
 
-  function evalObjectExpression(node, env) {
+  /** Expose a traced getter/setter as a native accessor so plain property access triggers it */
+  function defineTracedAccessor(target, key, kind, fn, env, line, enumerable = false) {
+    const existing = Object.getOwnPropertyDescriptor(target, key) || {}
+    const descriptor = { get: existing.get, set: existing.set, enumerable, configurable: true }
+    if (kind === 'get') {
+      descriptor.get = function () {
+        return runSync(invokeFunction(fn, `get ${String(key)}`, [], env, line, this))
+      }
+      descriptor.get.holds = [fn]
+    } else {
+      descriptor.set = function (value) {
+        runSync(invokeFunction(fn, `set ${String(key)}`, [value], env, line, this))
+      }
+      descriptor.set.holds = [fn]
+    }
+    Object.defineProperty(target, key, descriptor)
+  }
+
+  function* evalObjectExpression(node, env) {
     const obj = {}
     for (const prop of node.properties) {
       if (prop.type === 'SpreadElement') {
-        const spread = evalExpression(prop.argument, env)
+        const spread = yield* evalExpression(prop.argument, env)
         Object.assign(obj, spread)
-      } else {
-        const key = prop.key.type === 'Identifier'
-          ? prop.key.name
-          : evalExpression(prop.key, env)
-        const val = evalExpression(prop.value, env)
+        continue
+      }
 
-        if (val instanceof TracedFunction && val.name === 'anonymous') {
-          val.name = String(key)
-        }
-        obj[key] = val
+      let key
+      if (prop.computed) key = yield* evalExpression(prop.key, env)
+      else key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value
+
+      // `__proto__: value` sets the literal's prototype rather than adding a property
+      if (key === '__proto__' && !prop.computed && !prop.shorthand && !prop.method && prop.kind === 'init') {
+        const proto = yield* evalExpression(prop.value, env)
+        if (proto === null || typeof proto === 'object') Object.setPrototypeOf(obj, proto)
+        continue
+      }
+
+      // get/set run as real calls whenever the property is read or written
+      if (prop.kind === 'get' || prop.kind === 'set') {
+        const fn = createFunction(prop.value, env, `${prop.kind} ${functionNameForKey(key)}`)
+        fn.homeObject = obj
+        defineTracedAccessor(obj, key, prop.kind, fn, env, prop.loc ? prop.loc.start.line : null, true)
+        continue
       }
+
+      const val = yield* evalExpression(prop.value, env)
+      if (val instanceof TracedFunction && val.name === 'anonymous') {
+        val.name = functionNameForKey(key)
+      }
+      // Concise methods resolve `super` from the object they are defined on
+      if (prop.method) val.homeObject = obj
+      obj[key] = val
     }
     return obj
   }
 
-  function evalMemberExpression(node, env) {
-    const obj = evalExpression(node.object, env)
-    const prop = node.computed
-      ? evalExpression(node.property, env)
-      : node.property.name
+  /** Resolve the property key of a MemberExpression (`#x` for private names) */
+  function* getMemberKey(node, env) {
+    if (node.computed) return yield* evalExpression(node.property, env)
+    return node.property.type === 'PrivateIdentifier' ? `#${node.property.name}` : node.property.name
+  }
 
-    // Special case: Promise constructor accessed as identifier
-    if (node.object.type === 'Identifier' && node.object.name === 'Promise') {
-      if (prop === 'resolve') {
-        return function PromiseResolve(val) {
-          return { __isPromise: true, __resolvedValue: val }
-        }
-      }
-      if (prop === 'reject') {
-        return function PromiseReject(val) {
-          return { __isPromise: true, __rejectedValue: val }
-        }
-      }
+  function* evalMemberExpression(node, env) {
+    if (node.object.type === 'Super') {
+      const line = node.loc ? node.loc.start.line : null
+      return getSuperProperty(env, (yield* getMemberKey(node, env)), getThisBinding(env, line), line)
     }
 
+    const obj = yield* evalExpression(node.object, env)
+    if (node.optional && obj == null) throw new ShortCircuitSignal(node.object, obj)
+    const prop = yield* getMemberKey(node, env)
+
     if (obj === null || obj === undefined) {
+      if (env.strict) {
+        throw errorAt(TypeError, `Cannot read properties of ${obj} (reading '${String(prop)}')`, node.loc ? node.loc.start.line : null)
+      }
       // In non-strict mode, accessing properties on undefined returns undefined
       // instead of throwing an error (for educational purposes)
       return undefined
     }
+    tracePropertyLookup(obj, prop)
     return obj[prop]
   }
 
+  // ─── Prototype chain ──────────────────────────────────────────────
+
+  const hasOwn = (obj, prop) => Object.prototype.hasOwnProperty.call(obj, prop)
+
+  /**
+   * Record how a property read walked the prototype chain, for the Prototype
+   * Chain panel. Only reads that leave the object itself are interesting, and
+   * arrays, functions and engine-internal records are skipped.
+   */
+  function tracePropertyLookup(obj, prop) {
+    if (obj === null || typeof obj !== 'object' || Array.isArray(obj) || obj instanceof TracedFunction) return
+    if (obj.__promise || obj.__generator || obj.__response || obj.__eventTarget || obj.__event) return
+    if (typeof prop === 'symbol' || hasOwn(obj, prop)) return
+
+    const chain = []
+    let foundAt = -1
+    for (let level = obj; level !== null; level = Object.getPrototypeOf(level)) {
+      chain.push({
+        label: describeChainLevel(level, chain.length),
+        keys: Object.getOwnPropertyNames(level).filter(k => k !== 'constructor' && !k.startsWith('__')),
+      })
+      if (hasOwn(level, prop)) {
+        foundAt = chain.length - 1
+        break
+      }
+    }
+    tracer.recordPrototypeLookup(String(prop), chain, foundAt)
+  }
+
+  function describeChainLevel(level, depth) {
+    if (level === Object.prototype) return 'Object.prototype'
+    const ctor = hasOwn(level, 'constructor') ? level.constructor : null
+    if (ctor && ctor.prototype === level) return `${ctor.name}.prototype`
+    if (depth === 0) {
+      const owner = Object.getPrototypeOf(level)?.constructor
+      return owner && owner._isTracedFunction ? `${owner.name} instance` : 'object'
+    }
+    return 'prototype object'
+  }
+
+  // ─── Closures ─────────────────────────────────────────────────────
+
+  const freeVariableCache = new WeakMap() // function body node → names it uses from outside
+
+  /**
+   * Free-variable analysis: the identifiers a function reads or writes that
+   * none of its own parameters or declarations bind. Declarations count for the
+   * whole function (block scoping is not tracked here), and nested functions
+   * contribute the outer names they use themselves.
+   */
+  function freeVariables(params, body, outerBound = new Set()) {
+    const bound = new Set(outerBound)
+    bound.add('arguments')
+    for (const param of params) {
+      for (const name of patternNames(param)) bound.add(name)
+    }
+    collectDeclarations(body, bound)
+
+    const free = new Set()
+    for (const param of params) collectReferences(param, bound, free)
+    collectReferences(body, bound, free)
+    return free
+  }
+
+  /** Every name a function body declares for itself, not looking into nested functions */
+  function collectDeclarations(node, bound) {
+    if (!node || typeof node.type !== 'string') return
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        bound.add(node.id.name)
+        return
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return
+      case 'ClassDeclaration':
+        bound.add(node.id.name)
+        break
+      case 'VariableDeclarator':
+        for (const name of patternNames(node.id)) bound.add(name)
+        break
+      case 'CatchClause':
+        if (node.param) for (const name of patternNames(node.param)) bound.add(name)
+        break
+    }
+    forEachChild(node, child => collectDeclarations(child, bound))
+  }
+
+  /** Identifiers used as variables (not property names or labels) that `bound` does not cover */
+  function collectReferences(node, bound, free) {
+    if (!node || typeof node.type !== 'string') return
+    switch (node.type) {
+      case 'Identifier':
+        if (!bound.has(node.name)) free.add(node.name)
+        return
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression': {
+        const inner = new Set(bound)
+        if (node.type === 'FunctionExpression' && node.id) inner.add(node.id.name)
+        for (const name of freeVariables(node.params, node.body, inner)) free.add(name)
+        return
+      }
+      case 'MemberExpression':
+        collectReferences(node.object, bound, free)
+        if (node.computed) collectReferences(node.property, bound, free)
+        return
+      case 'Property':
+      case 'MethodDefinition':
+      case 'PropertyDefinition':
+        if (node.computed) collectReferences(node.key, bound, free)
+        collectReferences(node.value, bound, free)
+        return
+      case 'ClassExpression':
+      case 'ClassDeclaration': {
+        const inner = node.id ? new Set([...bound, node.id.name]) : bound
+        collectReferences(node.superClass, inner, free)
+        collectReferences(node.body, inner, free)
+        return
+      }
+      case 'LabeledStatement':
+        collectReferences(node.body, bound, free)
+        return
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+        return
+    }
+    forEachChild(node, child => collectReferences(child, bound, free))
+  }
+
+  function forEachChild(node, visit) {
+    for (const key of Object.keys(node)) {
+      const child = node[key]
+      if (Array.isArray(child)) child.forEach(visit)
+      else if (child && typeof child.type === 'string' && key !== 'loc') visit(child)
+    }
+  }
+
+  /**
+   * A function value's [[Scopes]]: the outer variables its body actually uses,
+   * grouped by the scope each one resolves to through `closureEnv`, innermost
+   * first. Globals and built-ins are left out — every function can reach those.
+   */
+  function describeClosure(value) {
+    if (!(value instanceof TracedFunction) || !value.body) return null
+    let names = freeVariableCache.get(value.body)
+    if (!names) {
+      names = [...freeVariables(value.params, value.body)]
+      freeVariableCache.set(value.body, names)
+    }
+
+    const groups = []
+    for (let scope = value.closureEnv; scope && scope.type !== 'global'; scope = scope.parent) {
+      const variables = {}
+      for (const name of names) {
+        if (name in scope.vars && !groups.some(g => name in g.variables)) {
+          variables[name] = tracer.formatValue(scope.vars[name].value)
+        }
+      }
+      if (Object.keys(variables).length > 0) {
+        groups.push({ scopeId: scope.id, name: scope.name, type: scope.type, variables })
+      }
+    }
+    return groups.length > 0 ? groups : null
+  }
+
+  // ─── Garbage collection ───────────────────────────────────────────
+
+  const frameEnvs = []            // innermost scope of each frame, indexed by call depth
+  const statementTemporaries = [] // per running statement: call results not stored anywhere yet
+
+  // A mark phase costs time proportional to the heap, so one only runs once
+  // something may have let go of an object: a binding or slot that held one
+  // was overwritten, a scope holding one ended, a call result was discarded,
+  // or a queued callback was taken off its queue
+  let referencesDropped = false
+
+  const droppingArrayMethods = new Set(['pop', 'shift', 'splice', 'fill', 'copyWithin'])
+
+  function noteDroppedValue(value) {
+    if (value !== null && typeof value === 'object') referencesDropped = true
+  }
+
+  // Call before overwriting or deleting obj[prop]
+  function noteSlotWrite(obj, prop) {
+    if (obj === null || typeof obj !== 'object') return
+    if (Array.isArray(obj) && prop === 'length') {
+      referencesDropped = true
+      return
+    }
+    const desc = Object.getOwnPropertyDescriptor(obj, prop)
+    if (desc && (!('value' in desc) || (desc.value !== null && typeof desc.value === 'object'))) referencesDropped = true
+  }
+
+  // The innermost scope of every frame on the stack is a GC root. Scopes that
+  // stop being one (a block or call that ended) may have held the last reference
+  function trackFrameEnv(env) {
+    const depth = tracer.callDepth()
+    for (let i = depth; i < frameEnvs.length; i++) {
+      if (frameEnvs[i] && frameEnvs[i] !== env) noteDroppedScopes(frameEnvs[i], env)
+    }
+    frameEnvs.length = depth + 1
+    frameEnvs[depth] = env
+  }
+
+  function noteDroppedScopes(oldEnv, env) {
+    if (referencesDropped) return
+    const kept = new Set()
+    for (let current = env; current; current = current.parent) kept.add(current)
+    for (let current = oldEnv; current && !kept.has(current); current = current.parent) {
+      Object.values(current.vars).forEach(binding => noteDroppedValue(binding.value))
+    }
+  }
+
+  function holdTemporary(value) {
+    if (value !== null && typeof value === 'object' && statementTemporaries.length > 0) {
+      statementTemporaries[statementTemporaries.length - 1].push(value)
+    }
+    return value
+  }
+
+  const nativePrototypes = new Set([
+    Object.prototype, Array.prototype, Function.prototype,
+    Map.prototype, Set.prototype, TracedWeakMap.prototype, TracedWeakSet.prototype,
+  ])
+
+  /**
+   * Mark phase: everything reachable from the roots — the scopes of live
+   * frames, pending timers, queued jobs, DOM listeners and in-flight
+   * temporaries. Engine records that close over values list them in `holds`.
+   * Map and Set entries are strong; a WeakSet holds nothing alive, and a
+   * WeakMap value is only reachable while its key is.
+   */
+  function markReachable() {
+    const live = new Set()
+    const work = []
+    const weakMaps = []
+    const visit = value => {
+      if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return
+      if (live.has(value) || nativePrototypes.has(value)) return
+      // Function bodies are AST nodes — nothing user-visible lives inside them
+      if (typeof value.type === 'string' && typeof value.start === 'number') return
+      live.add(value)
+      work.push(value)
+    }
+
+    const roots = [
+      ...frameEnvs, ...statementTemporaries,
+      pendingTimers, readyTimers, [...activeTimers.values()],
+      pendingMicrotasks, animationFrames, [...pendingFrames.values()],
+      virtualDocument, [...elements.values()],
+    ]
+    roots.forEach(visit)
+
+    const drain = () => {
+      while (work.length > 0) {
+        const item = work.pop()
+        for (const key of Reflect.ownKeys(item)) {
+          const desc = Object.getOwnPropertyDescriptor(item, key)
+          if ('value' in desc) visit(desc.value)
+          else {
+            visit(desc.get)
+            visit(desc.set)
+          }
+        }
+        visit(Object.getPrototypeOf(item))
+        const type = collectionType(item)
+        if (type === 'map') Map.prototype.forEach.call(item, (value, key) => { visit(key); visit(value) })
+        else if (type === 'set') Set.prototype.forEach.call(item, value => visit(value))
+        else if (type === 'weakmap') weakMaps.push(item)
+      }
+    }
+
+    drain()
+    // A value a live key brings in can make more keys live, so repeat until nothing new is marked
+    let grew = true
+    while (grew) {
+      weakMaps.forEach(map => weakEntries(map).forEach(([key, value]) => { if (live.has(key)) visit(value) }))
+      grew = work.length > 0
+      drain()
+    }
+    return live
+  }
+
+  /** Flag heap objects nothing can reach any more, show them greyed out for one step, then sweep them */
+  function collectGarbage(env, line, force = false) {
+    trackFrameEnv(env)
+    if (!referencesDropped && !force) return
+    referencesDropped = false
+
+    const live = markReachable()
+    const collectible = tracer.markUnreachable(live)
+    if (collectible.length === 0) return
+
+    // Entries of live weak collections whose keys died go with them
+    const cleared = []
+    live.forEach(value => {
+      if (!isWeakCollection(value)) return
+      weakEntries(value).forEach(([key]) => { if (!live.has(key)) cleared.push([value, key]) })
+    })
+
+    const names = collectible.map(label => `"${label}"`).join(', ')
+    const weakNote = cleared.length === 0 ? ''
+      : `. Weak references do not keep objects alive, so ${cleared.length === 1 ? '1 WeakMap/WeakSet entry is' : `${cleared.length} WeakMap/WeakSet entries are`} cleared too`
+    syncScopes(env)
+    tracer.addStep(line, 'gc', (collectible.length === 1
+      ? `Garbage collection: ${names} is no longer reachable from any variable, closure or pending callback — its memory can be reclaimed`
+      : `Garbage collection: ${collectible.length} objects (${names}) are no longer reachable — their memory can be reclaimed`) + weakNote)
+    cleared.forEach(([collection, key]) => dropWeakEntry(collection, key))
+    tracer.sweepHeap()
+  }
+
   // ─── Event Loop Simulation ────────────────────────────────────────
 
-  function processAsyncQueues(globalEnv) {
-    // Phase 1: Process all microtasks first
+  function* drainMicrotasks(globalEnv) {
     while (pendingMicrotasks.length > 0) {
       checkStepLimit()
       const task = pendingMicrotasks.shift()
+      referencesDropped = true
 
       tracer.removeFromMicrotaskQueue()
       tracer.setEventLoopPhase('microtask')
       syncScopes(globalEnv)
       tracer.addStep(null, 'eventloop', `Event Loop: Processing microtask — ${task.label}`)
 
-      if (task.tracedFn instanceof TracedFunction) {
-        // Look up the resolved value from the source promise at execution time
-        const resolvedValue = task.sourcePromise ? task.sourcePromise.__resolvedValue : undefined
-        const callbackArgs = resolvedValue !== undefined ? [resolvedValue] : []
-        const result = invokeFunction(task.tracedFn, task.tracedFn.name, callbackArgs, globalEnv, null)
-        
-        // Update the chained promise with the result
-        if (task.chainedPromise) {
-          if (result && result.__isPromise) {
-            // If callback returned a promise, use its resolved value
-            task.chainedPromise.__resolvedValue = result.__resolvedValue
-          } else {
-            // Otherwise use the direct return value
-            task.chainedPromise.__resolvedValue = result
-          }
-        }
-      }
+      yield* task.run(globalEnv)
     }
 
-    // Phase 2: Move timers from Web APIs to Callback Queue
-    const timersToProcess = [...pendingTimers]
-    pendingTimers.length = 0
+    reportUnhandledRejections(globalEnv)
+  }
 
-    for (const timer of timersToProcess) {
-      checkStepLimit()
-      tracer.removeWebApi(timer.id)
-      tracer.addToCallbackQueue(timer.label, null)
-      tracer.setEventLoopPhase('timer-complete')
-      syncScopes(globalEnv)
-      tracer.addStep(null, 'eventloop', `Timer done: ${timer.label} — callback moved from Web APIs → Callback Queue`)
+  function describeDueTask(timer) {
+    if (timer.source === 'network') {
+      return `Response arrived at ${virtualTime}ms: ${timer.label} — task moved from Web APIs → Callback Queue`
     }
+    if (timer.source === 'event') {
+      return `User event at ${virtualTime}ms: ${timer.label} — dispatch task added to the Callback Queue`
+    }
+    return `Timer done at ${virtualTime}ms: ${timer.label} — callback moved from Web APIs → Callback Queue`
+  }
 
-    // Phase 3: Process callback queue (macrotasks) one at a time
-    // (with microtask drain between each)
-    while (tracer.snapshot().callbackQueue.length > 0) {
-      checkStepLimit()
-      tracer.removeFromCallbackQueue()
-      const timer = timersToProcess.shift()
-      if (!timer) break
-
-      tracer.setEventLoopPhase('callback')
-      syncScopes(globalEnv)
-      tracer.addStep(null, 'eventloop', `Event Loop: Call stack is empty — processing callback from queue`)
+  /** Remove and return the timer that fires next: earliest due time, then registration order */
+  function takeNextTimer() {
+    let next = 0
+    for (let i = 1; i < pendingTimers.length; i++) {
+      if (pendingTimers[i].dueTime < pendingTimers[next].dueTime) next = i
+    }
+    return pendingTimers.splice(next, 1)[0]
+  }
 
-      if (timer.tracedFn instanceof TracedFunction) {
-        invokeFunction(timer.tracedFn, timer.tracedFn.name, [], globalEnv, null)
+  function* processAsyncQueues(globalEnv) {
+    // Phase 1: Process all microtasks first
+    yield* drainMicrotasks(globalEnv)
+    collectGarbage(globalEnv, null, true)
+
+    while (readyTimers.length > 0 || pendingTimers.length > 0 || animationFrames.length > 0) {
+      if (readyTimers.length === 0) {
+        // Phase 2: Jump the virtual clock to whatever comes next — a timer or a
+        // frame — and move every timer due by then from Web APIs to the Callback Queue
+        const nextTimer = pendingTimers.length > 0 ? Math.min(...pendingTimers.map(t => t.dueTime)) : Infinity
+        const nextFrame = animationFrames.length > 0 ? nextFrameTime() : Infinity
+        virtualTime = Math.max(virtualTime, Math.min(nextTimer, nextFrame))
+        tracer.setVirtualTime(virtualTime)
+
+        while (pendingTimers.some(t => t.dueTime <= virtualTime)) {
+          checkStepLimit()
+          const timer = takeNextTimer()
+          readyTimers.push(timer)
+          tracer.removeWebApi(timer.id)
+          tracer.addToCallbackQueue(timer.label, timer.id)
+          tracer.setEventLoopPhase('timer-complete')
+          syncScopes(globalEnv)
+          tracer.addStep(null, 'eventloop', describeDueTask(timer))
+        }
       }
 
-      // Drain microtasks after each macrotask
-      while (pendingMicrotasks.length > 0) {
+      // Phase 3: Process one callback from the queue (a macrotask),
+      // then drain microtasks
+      if (readyTimers.length > 0) {
         checkStepLimit()
-        const task = pendingMicrotasks.shift()
-        tracer.removeFromMicrotaskQueue()
-        tracer.setEventLoopPhase('microtask')
+        const timer = readyTimers.shift()
+        referencesDropped = true
+        tracer.removeFromCallbackQueue()
+        if (!timer.repeat) activeTimers.delete(timer.id)
+        timer.firings++
+
+        tracer.setEventLoopPhase('callback')
         syncScopes(globalEnv)
-        tracer.addStep(null, 'eventloop', `Event Loop: Processing microtask — ${task.label}`)
-
-        if (task.tracedFn instanceof TracedFunction) {
-          // Look up the resolved value from the source promise at execution time
-          const resolvedValue = task.sourcePromise ? task.sourcePromise.__resolvedValue : undefined
-          const callbackArgs = resolvedValue !== undefined ? [resolvedValue] : []
-          const result = invokeFunction(task.tracedFn, task.tracedFn.name, callbackArgs, globalEnv, null)
-          
-          // Update the chained promise with the result
-          if (task.chainedPromise) {
-            if (result && result.__isPromise) {
-              // If callback returned a promise, use its resolved value
-              task.chainedPromise.__resolvedValue = result.__resolvedValue
-            } else {
-              // Otherwise use the direct return value
-              task.chainedPromise.__resolvedValue = result
-            }
-          }
+        tracer.addStep(null, 'eventloop', `Event Loop: Call stack is empty — processing callback from queue`)
+
+        if (timer.run) {
+          yield* timer.run(globalEnv)
+        } else if (isCallable(timer.callback)) {
+          yield* invokeFunction(timer.callback, timer.callback.name, timer.args, globalEnv, null)
         }
+        if (timer.repeat) rearmInterval(timer, globalEnv)
+
+        // Drain microtasks after each macrotask
+        yield* drainMicrotasks(globalEnv)
       }
-    }
 
-    if (timersToProcess.length > 0 || pendingMicrotasks.length > 0) {
-      tracer.setEventLoopPhase('idle')
-      syncScopes(globalEnv)
-      tracer.addStep(null, 'eventloop', 'Event Loop: All queues processed')
+      // Phase 4: Between macrotasks, render a frame if one is due
+      if (animationFrames.length > 0 && nextFrameTime() <= virtualTime) {
+        yield* runAnimationFrame(globalEnv)
+      }
+
+      // Whatever only the finished task could reach is garbage now
+      collectGarbage(globalEnv, null, true)
     }
+
+    tracer.setEventLoopPhase('idle')
+    syncScopes(globalEnv)
+    tracer.addStep(null, 'eventloop', 'Event Loop: All queues processed')
   }
 
   // ─── Main Entry Point ─────────────────────────────────────────────
 
   try {
-    const ast = parseCode(code)
+    const ast = parseCode(code, { sourceType: isModule ? 'module' : 'script' })
     const globalEnv = createEnv(null, 'Global', 'global')
 
-    // Make Promise accessible as a stub so we can intercept it
-    envDefine(globalEnv, 'Promise', getPromiseStub(), 'const')
-
-    execProgram(ast, globalEnv)
+    if (isModule) runModuleBody(execProgram(ast, globalEnv), 'next', undefined, globalEnv, 0)
+    else runSync(execProgram(ast, globalEnv))
+    scheduleEventScript()
 
     // After synchronous execution, simulate event loop for async work
-    if (pendingTimers.length > 0 || pendingMicrotasks.length > 0) {
+    if (pendingTimers.length > 0 || readyTimers.length > 0 || pendingMicrotasks.length > 0 || animationFrames.length > 0) {
       tracer.setEventLoopPhase('checking-queues')
       syncScopes(globalEnv)
       tracer.addStep(null, 'eventloop', 'Synchronous code completed — Event Loop checking queues')
-      processAsyncQueues(globalEnv)
+      runSync(processAsyncQueues(globalEnv))
     }
+    reportUnhandledRejections(globalEnv)
   } catch (err) {
     if (err instanceof StepLimitError) {
       tracer.addStep(null, 'error', err.message)
     } else {
-      tracer.addStep(null, 'error', `Runtime Error: ${err.message || String(err)}`)
+      const kind = err instanceof Error && err.name !== 'Error' ? `${err.name}: ` : ''
+      const traced = err instanceof Error && err.__frames
+      tracer.logError(`Uncaught ${traced ? err.stack : fmt(err)}`)
+      tracer.addStep(err?.__line ?? null, 'error', `Runtime Error: ${kind}${err?.message || String(err)}`, {
+        errorStack: traced ? err.__frames : null,
+      })
     }
   }
 
@@ -5,14 +5,16 @@ import * as acorn from 'acorn'
  * Returns a standard ESTree-compliant AST with location info.
  *
  * @param {string} code - JavaScript source code
+ * @param {object} [options]
+ * @param {'script'|'module'} [options.sourceType] - Modules are parsed as strict mode code
  * @returns {import('acorn').Node} AST root node (Program)
  * @throws {Error} Friendly parse error with line/column info
  */
-export function parseCode(code) {
+export function parseCode(code, { sourceType = 'script' } = {}) {
   try {
     return acorn.parse(code, {
       ecmaVersion: 2022,
-      sourceType: 'script',
+      sourceType,
       locations: true,
       ranges: true,
     })
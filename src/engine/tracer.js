@@ -1,76 +1,272 @@
+import { collectionType, weakEntries } from './collections.js'
+
 export function createTracer() {
   const steps = []
   const callStack = []
-  const scopes = [{ name: 'Global', variables: {}, type: 'global' }]
+  const scopes = [{ name: 'Global', variables: {}, refs: {}, closures: {}, type: 'global' }]
   const consoleOutput = []
   const webApis = []
   const callbackQueue = []
   const microtaskQueue = []
-  const memoryHeap = new Map()
+  const animationFrameQueue = []
+  const memoryHeap = new Map()   // id → { label, value } — the live object, serialized per step
+  const heapIds = new WeakMap()  // object → id, so every reference to it shares one card
   let heapIdCounter = 1
   let eventLoopPhase = 'executing'
+  let virtualTime = 0
+  let prototypeLookup = null
+  let lookupIdCounter = 1
+  let heapFocus = null
+  let closureAccesses = []       // captured variables read or written since the last step
 
   function snapshot() {
     return {
       callStack: callStack.map(f => ({ ...f })),
-      scopes: scopes.map(s => ({ ...s, variables: { ...s.variables } })),
+      scopes: scopes.map(s => ({ ...s, variables: { ...s.variables }, refs: { ...s.refs }, closures: { ...s.closures } })),
       consoleOutput: [...consoleOutput],
       webApis: webApis.map(w => ({ ...w })),
       callbackQueue: callbackQueue.map(c => ({ ...c })),
       microtaskQueue: microtaskQueue.map(m => ({ ...m })),
+      animationFrameQueue: animationFrameQueue.map(a => ({ ...a })),
       memoryHeap: serializeHeap(),
       eventLoopPhase,
+      virtualTime,
+      prototypeLookup,
+      heapFocus,
     }
   }
 
+  // Objects reached through a card's slots get cards of their own (Map.forEach
+  // visits entries added while it runs), so nesting shows up as edges
   function serializeHeap() {
     const result = []
-    memoryHeap.forEach((val, id) => {
-      result.push({ id, ...val })
+    memoryHeap.forEach((entry, id) => {
+      const { label, value, unreachable } = entry
+      // An object never changes kind, so the brand checks run once per card
+      if (!entry.type) entry.type = heapType(value)
+      const { type } = entry
+      const { keys, raws } = heapSlots(value, type)
+
+      // Unchanged since the last step: share the previous card instead of rebuilding it.
+      // Weak cards are always rebuilt — a key can die without the slots changing
+      const cached = entry.serialized
+      if (cached && type !== 'weakmap' && type !== 'weakset' && cached.reachable === !unreachable && sameSlots(entry, keys, raws)) {
+        result.push(cached)
+        return
+      }
+
+      entry.serialized = {
+        id,
+        label,
+        type,
+        entries: describeEntries(type, label, keys, raws, unreachable),
+        reachable: !unreachable,
+      }
+      entry.keys = keys
+      entry.raws = raws
+      result.push(entry.serialized)
     })
     return result
   }
 
+  const HOLE = Object.freeze({})
+
+  function heapType(value) {
+    if (Array.isArray(value)) return 'array'
+    return collectionType(value) || 'object'
+  }
+
+  const heapTypeNames = { array: 'Array', object: 'Object', map: 'Map', set: 'Set', weakmap: 'WeakMap', weakset: 'WeakSet' }
+
+  // Collections are keyed by entry position in insertion order; a map's raw
+  // slots are its keys and values interleaved
+  function heapSlots(value, type) {
+    let raws
+    switch (type) {
+      case 'array': {
+        const keys = Array.from(value.keys())
+        return { keys, raws: keys.map(key => (key in value ? value[key] : HOLE)) }
+      }
+      case 'object': {
+        const keys = Object.keys(value)
+        return { keys, raws: keys.map(key => slotContent(value, key)) }
+      }
+      case 'map':
+        raws = []
+        Map.prototype.forEach.call(value, (v, k) => raws.push(k, v))
+        return { keys: positions(raws.length / 2), raws }
+      case 'set':
+        raws = []
+        Set.prototype.forEach.call(value, v => raws.push(v))
+        return { keys: positions(raws.length), raws }
+      case 'weakmap':
+        raws = weakEntries(value).flat()
+        return { keys: positions(raws.length / 2), raws }
+      case 'weakset':
+        raws = weakEntries(value).map(([member]) => member)
+        return { keys: positions(raws.length), raws }
+    }
+  }
+
+  const positions = count => Array.from({ length: count }, (_, i) => i)
+
+  // What an object's slot holds, by identity: its value or its accessor (never invoked)
+  function slotContent(obj, key) {
+    const desc = Object.getOwnPropertyDescriptor(obj, key)
+    return 'value' in desc ? desc.value : { accessor: desc }
+  }
+
+  function sameSlots(entry, keys, raws) {
+    if (entry.keys.length !== keys.length || entry.raws.length !== raws.length) return false
+    for (let i = 0; i < keys.length; i++) {
+      if (entry.keys[i] !== keys[i]) return false
+    }
+    for (let i = 0; i < raws.length; i++) {
+      const before = entry.raws[i]
+      const now = raws[i]
+      if (before && before.accessor && now && now.accessor) {
+        if (before.accessor.get !== now.accessor.get || before.accessor.set !== now.accessor.set) return false
+      } else if (!Object.is(before, now)) {
+        return false
+      }
+    }
+    return true
+  }
+
+  function describeEntries(type, label, keys, raws, unreachable) {
+    switch (type) {
+      case 'array':
+        return keys.map((key, i) => describeSlot(key, raws[i], `${label}[${key}]`, unreachable))
+      case 'object':
+        return keys.map((key, i) => describeSlot(key, raws[i], `${label}.${key}`, unreachable))
+      case 'set':
+      case 'weakset':
+        return keys.map(i => {
+          const slot = describeSlot(i, raws[i], `${label} member`, unreachable)
+          return type === 'weakset' ? { ...slot, cleared: isCollected(raws[i]) } : slot
+        })
+      case 'map':
+      case 'weakmap':
+        return keys.map(i => {
+          const key = raws[2 * i]
+          const keySlot = describeSlot(i, key, `${label} key`, unreachable)
+          const valueLabel = isHeapObject(key) ? `${label} value` : `${label}.get(${formatValue(key)})`
+          const valueSlot = describeSlot(i, raws[2 * i + 1], valueLabel, unreachable)
+          const slot = { key: i, keyValue: keySlot.value, keyRef: keySlot.ref, value: valueSlot.value, ref: valueSlot.ref }
+          return type === 'weakmap' ? { ...slot, cleared: isCollected(key) } : slot
+        })
+    }
+  }
+
+  // A weak entry whose key the garbage collector is about to reclaim
+  function isCollected(value) {
+    const id = heapIds.get(value)
+    return id != null && memoryHeap.get(id).unreachable === true
+  }
+
+  // A child first seen through a garbage object is garbage too
+  function describeSlot(key, content, childLabel, parentUnreachable) {
+    if (content === HOLE) return { key, value: '<empty>' }
+    if (content && content.accessor) return { key, value: accessorLabel(content.accessor) }
+    if (isHeapObject(content)) {
+      const isNew = !heapIds.has(content)
+      const ref = allocateHeap(content, childLabel)
+      if (isNew && parentUnreachable) memoryHeap.get(ref).unreachable = true
+      return { key, value: heapTypeNames[heapType(content)], ref }
+    }
+    return { key, value: formatValue(content) }
+  }
+
   function addStep(line, type, description, extra = {}) {
     steps.push({
       line,
       type,
       description,
       ...snapshot(),
+      closureAccesses,
       ...extra,
     })
+    closureAccesses = []
+  }
+
+  function pushCall(name, line, kind, detail) {
+    const frame = kind ? { name, line, kind } : { name, line }
+    if (detail) frame.detail = detail
+    callStack.push(frame)
   }
 
-  function pushCall(name, line) {
-    callStack.push({ name, line })
+  // What `this` is in the innermost frame, and which call rule put it there
+  function setFrameThis(value, rule, reason) {
+    const frame = callStack[callStack.length - 1]
+    if (frame) frame.thisBinding = { value: formatValue(value), rule, reason }
   }
 
   function popCall() {
     return callStack.pop()
   }
 
-  function enterScope(name, type = 'function') {
-    scopes.push({ name, variables: {}, type })
+  function callDepth() {
+    return callStack.length
+  }
+
+  // The call stack as a stack trace: innermost frame first, each with the line it is on.
+  // A frame is on the line that called the frame above it; the innermost one is on `line`.
+  // Like V8's default Error.stackTraceLimit, only the innermost 10 frames are kept.
+  function captureStack(line) {
+    const frames = []
+    for (let i = callStack.length - 1; i >= 0 && frames.length < 10; i--) {
+      frames.push({ name: callStack[i].name.replace(/\(\)$/, ''), line })
+      line = callStack[i].line
+    }
+    return frames
+  }
+
+  // Drop frames left behind by an exception that unwound several calls at once
+  function unwindCallStack(depth) {
+    while (callStack.length > depth) callStack.pop()
+  }
+
+  function enterScope(name, type = 'function', id = null) {
+    scopes.push({ id, name, variables: {}, refs: {}, closures: {}, type })
   }
 
   function exitScope() {
     if (scopes.length > 1) scopes.pop()
   }
 
-  function setVariable(name, value, scopeIndex) {
+  // `closure` lists the outer variables a function value keeps alive — its [[Scopes]]
+  function setVariable(name, value, scopeIndex, closure = null) {
     const idx = scopeIndex !== undefined ? scopeIndex : scopes.length - 1
     if (idx >= 0 && idx < scopes.length) {
       scopes[idx].variables[name] = formatValue(value)
+      // Object values are references: point at the heap card instead of copying
+      if (isHeapObject(value)) scopes[idx].refs[name] = allocateHeap(value, name)
+      else delete scopes[idx].refs[name]
+      if (closure) scopes[idx].closures[name] = closure
+      else delete scopes[idx].closures[name]
     }
   }
 
+  // A closure touched `name` in the scope with env id `scopeId`; a write outranks a read
+  function recordClosureAccess(scopeId, name, kind) {
+    const seen = closureAccesses.find(a => a.scopeId === scopeId && a.name === name)
+    if (!seen) closureAccesses.push({ scopeId, name, kind })
+    else if (kind === 'write') seen.kind = 'write'
+  }
+
+  // Errors print with their stack, the way a browser console shows them
   function logConsole(...args) {
-    const formatted = args.map(a => formatValue(a)).join(' ')
+    const formatted = args.map(a => (a instanceof Error && a.__frames ? a.stack : formatValue(a))).join(' ')
     consoleOutput.push(formatted)
   }
 
-  function addWebApi(id, type, label, delay) {
-    webApis.push({ id, type, label, delay, startStep: steps.length })
+  // An uncaught error, already formatted ("Uncaught TypeError: ...")
+  function logError(text) {
+    consoleOutput.push(text)
+  }
+
+  function addWebApi(id, type, label, delay, dueTime = null) {
+    webApis.push({ id, type, label, delay, dueTime, startStep: steps.length })
   }
 
   function removeWebApi(id) {
@@ -82,8 +278,10 @@ export function createTracer() {
     callbackQueue.push({ label, callback })
   }
 
-  function removeFromCallbackQueue() {
-    return callbackQueue.shift()
+  function removeFromCallbackQueue(callback) {
+    if (callback === undefined) return callbackQueue.shift()
+    const idx = callbackQueue.findIndex(c => c.callback === callback)
+    return idx !== -1 ? callbackQueue.splice(idx, 1)[0] : undefined
   }
 
   function addToMicrotaskQueue(label, callback) {
@@ -94,29 +292,137 @@ export function createTracer() {
     return microtaskQueue.shift()
   }
 
+  function addToAnimationFrameQueue(label, callback) {
+    animationFrameQueue.push({ label, callback })
+  }
+
+  function removeFromAnimationFrameQueue(callback) {
+    if (callback === undefined) return animationFrameQueue.shift()
+    const idx = animationFrameQueue.findIndex(a => a.callback === callback)
+    return idx !== -1 ? animationFrameQueue.splice(idx, 1)[0] : undefined
+  }
+
   function setEventLoopPhase(phase) {
     eventLoopPhase = phase
   }
 
+  function setVirtualTime(time) {
+    virtualTime = time
+  }
+
+  // The latest property read that had to walk up the prototype chain
+  function recordPrototypeLookup(property, chain, foundAt) {
+    prototypeLookup = { id: lookupIdCounter++, property, chain, foundAt }
+  }
+
+  /** The heap id of `value`, registering it under `label` the first time it is seen */
   function allocateHeap(value, label) {
+    if (heapIds.has(value)) return heapIds.get(value)
     const id = heapIdCounter++
-    memoryHeap.set(id, { label, value: formatValue(value), type: typeof value === 'object' && Array.isArray(value) ? 'array' : 'object' })
+    heapIds.set(value, id)
+    memoryHeap.set(id, { label, value })
     return id
   }
 
+  /** Flag every heap object missing from `live` (the mark phase result); returns their labels */
+  function markUnreachable(live) {
+    const labels = []
+    memoryHeap.forEach(entry => {
+      if (!live.has(entry.value)) {
+        entry.unreachable = true
+        labels.push(entry.label)
+      }
+    })
+    return labels
+  }
+
+  /** Drop the objects flagged by markUnreachable */
+  function sweepHeap() {
+    memoryHeap.forEach((entry, id) => {
+      if (!entry.unreachable) return
+      memoryHeap.delete(id)
+      heapIds.delete(entry.value)
+    })
+  }
+
+  /** Point an existing card at a different object (e.g. a frozen copy of a scope) */
+  function updateHeap(id, value) {
+    const entry = memoryHeap.get(id)
+    if (!entry) return
+    entry.value = value
+    entry.type = null
+    heapIds.set(value, id)
+  }
+
+  // The array element a built-in like map() is currently handing to its callback
+  function focusHeap(id, index) {
+    heapFocus = { id, index }
+  }
+
+  function clearHeapFocus() {
+    heapFocus = null
+  }
+
+  /** Plain objects, arrays and class instances — not functions or the engine's internal records */
+  function isHeapObject(val) {
+    return val !== null && typeof val === 'object' && !val._isTracedFunction && !val.__uninitialized &&
+      !val.__generator && !val.__promise && !val.__isPromiseConstructor && !val.__eventTarget &&
+      !val.__globalThis
+  }
+
+  function accessorLabel(desc) {
+    return `[${desc.get && desc.set ? 'Getter/Setter' : desc.get ? 'Getter' : 'Setter'}]`
+  }
+
+  // Map(2) {"a" => 1, "b" => 2}, Set(1) {1}, WeakMap {{id: 1} => "x"} — as devtools print them
+  function formatCollection(val) {
+    const type = heapType(val)
+    const { raws } = heapSlots(val, type)
+    const items = type === 'map' || type === 'weakmap'
+      ? positions(raws.length / 2).map(i => `${formatValue(raws[2 * i])} => ${formatValue(raws[2 * i + 1])}`)
+      : raws.map(formatValue)
+    const ctor = Object.getPrototypeOf(val)?.constructor
+    const name = ctor && ctor._isTracedFunction ? ctor.name : heapTypeNames[type]
+    const size = type === 'map' || type === 'set' ? `(${items.length})` : ''
+    const shown = items.length <= 3 ? items : [...items.slice(0, 3), '...']
+    return `${name}${size} {${shown.join(', ')}}`
+  }
+
   function formatValue(val) {
     if (val === undefined) return 'undefined'
     if (val === null) return 'null'
     if (typeof val === 'string') return `"${val}"`
     if (typeof val === 'function') return `ƒ ${val.name || 'anonymous'}()`
-    if (Array.isArray(val)) return `[${val.map(v => formatValue(v)).join(', ')}]`
+    if (val.__uninitialized) return '<uninitialized>'
+    if (val.__globalThis) return 'Window'
+    if (val instanceof Error) return `${val.name}: ${val.message}`
+    if (val._isTracedFunction) return val.isClassConstructor ? `class ${val.name}` : `ƒ ${val.name}()`
+    if (val.__generator) return `${val.__generator.fn.name} {<${val.__generator.state}>}`
+    if (val.__isPromiseConstructor) return 'ƒ Promise()'
+    if (val.__eventTarget) return val.__eventTarget.label === 'document' ? '#document' : `Element ${val.__eventTarget.label}`
+    if (val.__promise) {
+      const { state, value } = val.__promise
+      if (state === 'pending') return 'Promise {<pending>}'
+      return state === 'rejected' ? `Promise {<rejected>: ${formatValue(value)}}` : `Promise {${formatValue(value)}}`
+    }
+    if (Array.isArray(val)) return `[${Array.from(val, (v, i) => (i in val ? formatValue(v) : '<empty>')).join(', ')}]`
     if (typeof val === 'object') {
       try {
+        if (collectionType(val)) return formatCollection(val)
         const keys = Object.keys(val)
+        // Prefix instances of user classes with their class name: Dog {name: "Rex"}
+        const ctor = Object.getPrototypeOf(val)?.constructor
+        const prefix = ctor && ctor._isTracedFunction ? `${ctor.name} ` : ''
+        // Accessors are shown, not invoked — reading them would run user code
+        const entry = k => {
+          const desc = Object.getOwnPropertyDescriptor(val, k)
+          if (desc && (desc.get || desc.set)) return `${k}: ${accessorLabel(desc)}`
+          return `${k}: ${formatValue(val[k])}`
+        }
         if (keys.length <= 3) {
-          return `{${keys.map(k => `${k}: ${formatValue(val[k])}`).join(', ')}}`
+          return `${prefix}{${keys.map(entry).join(', ')}}`
         }
-        return `{${keys.slice(0, 3).map(k => `${k}: ${formatValue(val[k])}`).join(', ')}, ...}`
+        return `${prefix}{${keys.slice(0, 3).map(entry).join(', ')}, ...}`
       } catch {
         return String(val)
       }
@@ -128,19 +434,34 @@ export function createTracer() {
     steps,
     addStep,
     pushCall,
+    setFrameThis,
     popCall,
+    callDepth,
+    unwindCallStack,
+    captureStack,
     enterScope,
     exitScope,
     setVariable,
+    recordClosureAccess,
     logConsole,
+    logError,
     addWebApi,
     removeWebApi,
     addToCallbackQueue,
     removeFromCallbackQueue,
     addToMicrotaskQueue,
     removeFromMicrotaskQueue,
+    addToAnimationFrameQueue,
+    removeFromAnimationFrameQueue,
     setEventLoopPhase,
+    setVirtualTime,
+    recordPrototypeLookup,
     allocateHeap,
+    updateHeap,
+    focusHeap,
+    clearHeapFocus,
+    markUnreachable,
+    sweepHeap,
     formatValue,
     snapshot,
   }
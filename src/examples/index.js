@@ -61,6 +61,23 @@ while (count > 0) {
   count--;
 }`,
   },
+  {
+    id: 'labeled-loops',
+    title: 'Labeled break & continue',
+    category: 'basics',
+    description: 'A label lets break and continue target an outer loop instead of the innermost one.',
+    code: `// Labeled break & continue
+const grid = [[1, 2, 3], [4, -1, 6], [7, 8, 9]];
+
+rows: for (const row of grid) {
+  for (const cell of row) {
+    if (cell === 2) continue rows; // skip the rest of this row
+    if (cell < 0) break rows;      // stop scanning entirely
+    console.log("cell", cell);
+  }
+}
+console.log("scan finished");`,
+  },
 
   // ─── Functions ────────────────────────────────────────────
   {
@@ -100,6 +117,97 @@ function factorial(n) {
 let result = factorial(5);
 console.log("5! =", result);`,
   },
+  {
+    id: 'generators',
+    title: 'Generators',
+    category: 'functions',
+    description: 'yield pauses the generator and hands control back — next() resumes it right where it stopped.',
+    code: `// Generators
+function* idMaker() {
+  console.log("generator started");
+  let id = 1;
+  while (id <= 3) {
+    yield id;
+    id++;
+  }
+  return "no more ids";
+}
+
+const ids = idMaker();
+console.log(ids.next().value); // 1
+console.log(ids.next().value); // 2
+
+for (const id of idMaker()) {
+  console.log("for...of got", id);
+}`,
+  },
+  {
+    id: 'this-binding',
+    title: 'this Binding Rules',
+    category: 'functions',
+    description: 'The same function gets a different this depending on how it is called — plain, as a method, with call/bind, with new, or as an arrow.',
+    code: `// this Binding Rules
+const user = {
+  name: "Ada",
+  greet() {
+    return "hi " + this.name;
+  },
+  greetLater() {
+    const arrow = () => this.name; // arrows keep the outer this
+    return arrow();
+  },
+};
+
+console.log(user.greet());            // implicit: user
+const loose = user.greet;
+console.log(loose());                 // default: global object
+
+console.log(user.greet.call({ name: "Bo" }));  // explicit
+const bound = user.greet.bind({ name: "Cy" });
+console.log(bound.call({ name: "Di" }));       // bind wins over call
+
+function Person(name) {
+  this.name = name;                   // new: the fresh object
+}
+const p = new Person("Eve");
+console.log(p.name);
+console.log(user.greetLater());       // lexical`,
+  },
+  {
+    id: 'errors-stack-traces',
+    title: 'Errors & Stack Traces',
+    category: 'functions',
+    description: 'Runtime errors are real ReferenceError / TypeError objects you can catch and check with instanceof — each carries the call stack it was thrown from.',
+    code: `// Errors & Stack Traces
+function readConfig() {
+  return settings.theme; // settings was never declared
+}
+
+try {
+  readConfig();
+} catch (err) {
+  console.log(err instanceof ReferenceError); // true
+  console.log(err.message);
+}
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+function validate(age) {
+  if (age < 0) throw new ValidationError("age must be positive");
+  return age;
+}
+
+function signUp(age) {
+  return validate(age);
+}
+
+signUp(-1); // uncaught — see the stack in the console`,
+  },
 
   // ─── Arrays & Objects ─────────────────────────────────────
   {
@@ -121,6 +229,25 @@ let lengths = fruits.map(function(f) {
   return f.length;
 });
 console.log("lengths:", lengths);`,
+  },
+  {
+    id: 'array-callbacks',
+    title: 'map, filter & reduce',
+    category: 'arrays-objects',
+    description: 'Watch each callback run as its own frame while the heap points at the element it was given.',
+    code: `// map, filter & reduce
+const prices = [4, 12, 7, 20];
+
+const withTax = prices.map(price => price * 1.5);
+console.log("with tax:", withTax);
+
+const affordable = prices.filter(function isCheap(price) {
+  return price < 10;
+});
+console.log("affordable:", affordable);
+
+const total = prices.reduce((sum, price) => sum + price, 0);
+console.log("total:", total);`,
   },
   {
     id: 'object-basics',
@@ -142,6 +269,150 @@ console.log(person);
 let keys = Object.keys(person);
 console.log("keys:", keys);`,
   },
+  {
+    id: 'object-references',
+    title: 'Object References',
+    category: 'arrays-objects',
+    description: 'Two variables, one object — follow the arrows into the heap.',
+    code: `// Object References
+const original = { name: "Ada", skills: ["math"] };
+const alias = original;
+const copy = { ...original };
+
+alias.name = "Grace";
+copy.skills.push("code");
+
+console.log(original.name, copy.name);
+console.log(original.skills === copy.skills);
+
+original.mentor = { name: "Charles" };
+console.log(alias.mentor.name);`,
+  },
+  {
+    id: 'getters-optional-chaining',
+    title: 'Getters & Optional Chaining',
+    category: 'arrays-objects',
+    description: 'Accessors run as real function calls; ?. stops at null or undefined.',
+    code: `// Getters, setters and optional chaining
+const account = {
+  owner: { name: "Ada", address: null },
+  cents: 1250,
+  get balance() {
+    return this.cents / 100;
+  },
+  set balance(dollars) {
+    this.cents = dollars * 100;
+  }
+};
+
+console.log(account.balance);
+account.balance = 20;
+console.log(account.cents);
+
+const city = account.owner?.address?.city;
+console.log("city:", city);
+const name = account.owner?.name;
+account.notify?.("hello");
+console.log("name:", name);`,
+  },
+  {
+    id: 'destructuring',
+    title: 'Destructuring',
+    category: 'arrays-objects',
+    description: 'Unpack objects and arrays into variables — with nesting, defaults and rest.',
+    code: `// Destructuring
+const user = { name: "Ada", address: { city: "London" }, role: "admin" };
+
+const { name, address: { city }, age = 36, ...rest } = user;
+console.log(name, city, age, rest);
+
+let [first, , third = "c"] = ["a", "b"];
+[first, third] = [third, first]; // swap
+console.log(first, third);
+
+function greet({ name, role = "guest" }) {
+  return name + " (" + role + ")";
+}
+console.log(greet(user));`,
+  },
+  {
+    id: 'classes-inheritance',
+    title: 'Classes & Inheritance',
+    category: 'arrays-objects',
+    description: 'Constructors, methods, extends and super() — each call gets its own frame and this.',
+    code: `// Classes & Inheritance
+class Animal {
+  legs = 4;
+  constructor(name) {
+    this.name = name;
+  }
+  speak() {
+    return this.name + " makes a sound";
+  }
+}
+
+class Dog extends Animal {
+  constructor(name) {
+    super(name);
+    this.tricks = 0;
+  }
+  speak() {
+    return super.speak() + ": woof!";
+  }
+}
+
+let rex = new Dog("Rex");
+console.log(rex.speak());`,
+  },
+  {
+    id: 'prototype-chain',
+    title: 'Prototype Chain',
+    category: 'arrays-objects',
+    description: 'Properties an object lacks are looked up on its prototype, then that prototype\'s prototype — all the way to null.',
+    code: `// Prototype Chain
+function Animal(name) {
+  this.name = name;
+}
+Animal.prototype.describe = function() {
+  return this.name + " is an animal";
+};
+
+const cat = new Animal("Tom");
+console.log(cat.describe());
+console.log(cat.hasOwnProperty("describe")); // false
+
+const kitten = Object.create(cat);
+kitten.age = 1;
+console.log(kitten.name);       // found on cat
+console.log(kitten.wings);      // undefined — end of the chain
+console.log(Object.getPrototypeOf(kitten) === cat);`,
+  },
+  {
+    id: 'maps-sets',
+    title: 'Map, Set & Weak Collections',
+    category: 'arrays-objects',
+    description: 'Keyed entries and unique members — and weak versions whose keys are not kept alive.',
+    code: `// Map, Set, WeakMap and WeakSet
+const visits = new Map();
+visits.set("home", 1);
+visits.set("about", 1);
+visits.set("home", visits.get("home") + 1);
+console.log(visits.size, visits.has("blog"));
+
+const tags = new Set(["js", "css"]);
+tags.add("js");       // already a member
+tags.delete("css");
+console.log([...tags]);
+
+// Weak collections hold their keys without keeping them alive
+const metadata = new WeakMap();
+const seen = new WeakSet();
+let user = { name: "Ada" };
+metadata.set(user, { lastLogin: "today" });
+seen.add(user);
+console.log(metadata.get(user).lastLogin, seen.has(user));
+user = null;  // only weak references left — both entries are cleared`,
+  },
 
   // ─── Scope ────────────────────────────────────────────────
   {
@@ -183,6 +454,68 @@ for (let j = 0; j < 3; j++) {
 }
 // console.log(j); // would throw ReferenceError`,
   },
+  {
+    id: 'temporal-dead-zone',
+    title: 'Temporal Dead Zone',
+    category: 'scope',
+    description: 'let and const are hoisted too, but stay <uninitialized> until their line runs — and const can\'t be reassigned.',
+    code: `// Temporal Dead Zone
+try {
+  console.log(city); // in the TDZ
+} catch (err) {
+  console.log("Error:", err.message);
+}
+
+let city = "Paris";
+console.log(city);
+
+const PI = 3.14;
+try {
+  PI = 3; // const can't be reassigned
+} catch (err) {
+  console.log("Error:", err.message);
+}`,
+  },
+  {
+    id: 'typeof-undeclared',
+    title: 'typeof and Undeclared Names',
+    category: 'scope',
+    description: 'typeof is the one safe way to probe a name that was never declared — but not one still in its TDZ.',
+    code: `// typeof on undeclared vs. uninitialized names
+console.log(typeof notDeclaredAnywhere); // "undefined", no error
+
+if (typeof analytics === "undefined") {
+  console.log("analytics not loaded, skipping");
+}
+
+try {
+  console.log(typeof config); // declared below: in the TDZ
+} catch (err) {
+  console.log("Error:", err.message);
+}
+const config = { debug: true };
+console.log(typeof config, typeof config.debug);`,
+  },
+  {
+    id: 'strict-mode',
+    title: 'Sloppy vs Strict Mode',
+    category: 'scope',
+    description: 'Run it as a Script, then flip the editor to Module (or add "use strict") — the same code behaves differently.',
+    code: `// Sloppy vs Strict Mode — try the Script / Module toggle
+function whoIsThis() {
+  return this;
+}
+console.log(whoIsThis() === undefined); // sloppy: false, strict: true
+
+function setTotal() {
+  total = 42; // no let/var/const!
+}
+setTotal();
+console.log(total); // sloppy: a new global appears
+
+const settings = null;
+console.log(settings.theme);`,
+  },
 
   // ─── Closures ─────────────────────────────────────────────
   {
@@ -202,7 +535,11 @@ function makeCounter() {
 let counter = makeCounter();
 console.log(counter()); // 1
 console.log(counter()); // 2
-console.log(counter()); // 3`,
+console.log(counter()); // 3
+
+// Each call to makeCounter creates a fresh count
+let other = makeCounter();
+console.log(other()); // 1`,
   },
   {
     id: 'closure-in-loop',
@@ -221,11 +558,52 @@ funcs[0](); // 3 (not 0!)
 funcs[1](); // 3
 funcs[2](); // 3
 
-// Fix with let: each iteration gets its own i
-// let creates a new binding per iteration`,
+// Fix with let: each iteration gets its own j
+// (watch a new block scope appear per iteration)
+let fixed = [];
+for (let j = 0; j < 3; j++) {
+  fixed.push(function() {
+    console.log("let j:", j);
+  });
+}
+fixed[0](); // 0
+fixed[2](); // 2`,
   },
 
   // ─── Async ────────────────────────────────────────────────
+  {
+    id: 'garbage-collection',
+    title: 'Garbage Collection',
+    category: 'closures',
+    description: 'Objects live while something can reach them — a variable, a closure or a pending timer.',
+    code: `// Garbage Collection — what keeps an object alive?
+let user = { name: "Ada" };
+const team = [user];
+user = null;      // still reachable through team[0]
+team.pop();       // nothing points at it any more
+
+function makeCounter() {
+  const state = { count: 0 };
+  return function next() {
+    state.count++;
+    return state.count;
+  };
+}
+let counter = makeCounter();
+console.log(counter());  // the closure keeps state alive
+counter = null;          // closure gone, so state goes too
+
+function startPolling() {
+  const report = { rows: [1, 2, 3] };
+  return setInterval(function poll() {
+    console.log("rows:", report.rows.length);
+  }, 100);
+}
+const timerId = startPolling();  // the interval's closure holds report
+setTimeout(function stop() {
+  clearInterval(timerId);        // cleared: poll and report are garbage
+}, 250);`,
+  },
   {
     id: 'settimeout-event-loop',
     title: 'setTimeout & Event Loop',
@@ -243,6 +621,26 @@ console.log("3 - End");
 // Output: 1, 3, 2
 // Even with 0ms delay, setTimeout waits
 // for the call stack to be empty!`,
+  },
+  {
+    id: 'interval-clear',
+    title: 'setInterval & clearInterval',
+    category: 'async',
+    description: 'An interval re-arms itself on the virtual clock after every run until clearInterval cancels it.',
+    code: `// setInterval & clearInterval
+let ticks = 0;
+
+const timer = setInterval(function() {
+  ticks++;
+  console.log("tick", ticks);
+  if (ticks === 3) {
+    clearInterval(timer);
+  }
+}, 100);
+
+setTimeout(function() {
+  console.log("150ms timeout runs between ticks");
+}, 150);`,
   },
   {
     id: 'promise-basics',
@@ -290,6 +688,143 @@ console.log("5");
 
 // Output: 1, 5, 3, 4, 2
 // Sync first, then microtasks, then macrotasks`,
+  },
+  {
+    id: 'promise-rejection',
+    title: 'Rejection & .catch()',
+    category: 'async',
+    description: 'A rejection skips every .then() until a .catch() handles it — .finally() runs either way.',
+    code: `// Rejection & .catch()
+Promise.reject("network down")
+  .then(function(data) {
+    console.log("never runs");
+  })
+  .catch(function(err) {
+    console.log("caught:", err);
+    return "fallback";
+  })
+  .finally(function() {
+    console.log("cleanup");
+  })
+  .then(function(value) {
+    console.log("recovered with", value);
+  });
+
+console.log("sync code done");`,
+  },
+  {
+    id: 'promise-all',
+    title: 'Promise.all & race',
+    category: 'async',
+    description: 'Promise.all waits for every input (watch its result array fill in the heap); race takes the first to settle.',
+    code: `// Promise.all & Promise.race
+const slow = new Promise(function(resolve) {
+  setTimeout(function() {
+    resolve("slow");
+  }, 0);
+});
+
+Promise.all([1, Promise.resolve(2), slow]).then(function(values) {
+  console.log("all:", values);
+});
+
+Promise.race([slow, Promise.resolve("fast")]).then(function(winner) {
+  console.log("race:", winner);
+});`,
+  },
+  {
+    id: 'async-await',
+    title: 'async / await',
+    category: 'async',
+    description: 'await suspends the function and pops it off the stack — it resumes later as a microtask.',
+    code: `// async / await
+async function getNumber() {
+  console.log("2 - getNumber starts");
+  const n = await 42;
+  console.log("4 - getNumber resumed");
+  return n;
+}
+
+async function main() {
+  console.log("1 - main starts");
+  const value = await getNumber();
+  console.log("5 - main got", value);
+}
+
+main();
+console.log("3 - sync code done");`,
+  },
+  {
+    id: 'microtask-raf',
+    title: 'queueMicrotask & rAF',
+    category: 'async',
+    description: 'Microtasks jump the line; requestAnimationFrame waits for the next frame\'s render step.',
+    code: `// queueMicrotask & requestAnimationFrame
+console.log("sync");
+
+setTimeout(function() {
+  console.log("timeout (0ms)");
+}, 0);
+
+requestAnimationFrame(function(time) {
+  console.log("frame at", time, "ms");
+});
+
+queueMicrotask(function() {
+  console.log("microtask");
+});
+
+setTimeout(function() {
+  console.log("timeout (20ms)");
+}, 20);`,
+  },
+  {
+    id: 'fetch-mock',
+    title: 'fetch() & Network',
+    category: 'async',
+    description: 'fetch() waits in Web APIs while timers fire. Edit the mocked responses from the network button.',
+    mocks: [
+      { url: '/api/user', status: 200, latency: 120, body: '{"name": "Ada", "role": "admin"}' },
+    ],
+    code: `// fetch() & Network
+console.log("requesting user...");
+
+fetch("/api/user")
+  .then(function(response) {
+    console.log("status:", response.status);
+    return response.json();
+  })
+  .then(function(user) {
+    console.log("hello,", user.name);
+  });
+
+setTimeout(function() {
+  console.log("timer fires while the request is in flight");
+}, 50);`,
+  },
+  {
+    id: 'debounce-events',
+    title: 'Events & Debounce',
+    category: 'async',
+    description: 'Scripted keystrokes fire input listeners; the debounce timer only survives the last one. Edit the timeline from the events button.',
+    eventScript: `0ms input #search "j"
+40ms input #search "js"
+80ms input #search "js e"
+300ms click #go`,
+    code: `// Events & Debounce
+const search = document.getElementById("search");
+let timer;
+
+search.addEventListener("input", function(event) {
+  clearTimeout(timer);
+  timer = setTimeout(function() {
+    console.log("searching for", event.target.value);
+  }, 100);
+});
+
+document.querySelector("#go").addEventListener("click", function() {
+  console.log("go clicked");
+});`,
   },
   {
     id: 'event-loop-deep-dive',
@@ -0,0 +1,36 @@
+/**
+ * Parse a user-authored event script — one scripted event per line:
+ *
+ *   50ms click #submit
+ *   120ms input #search "hel"
+ *   300 keydown document
+ *
+ * The time is on the virtual clock; the target is `#id` or `document`; an
+ * optional trailing value is written to `target.value` before dispatch.
+ * Blank lines and `//` comments are ignored.
+ *
+ * @param {string} text - Event script source
+ * @returns {{ events: Array<{ time: number, type: string, target: string, value?: string }>, errors: string[] }}
+ */
+export function parseEventScript(text = '') {
+  const events = [];
+  const errors = [];
+
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.replace(/\/\/.*$/, '').trim();
+    if (!line) return;
+
+    const match = line.match(/^(\d+)\s*(?:ms)?\s+([a-zA-Z]+)\s+(#[\w-]+|document)(?:\s+(.+))?$/);
+    if (!match) {
+      errors.push(`Line ${index + 1}: expected "<time>ms <event> <#id|document> [value]"`);
+      return;
+    }
+
+    const [, time, type, target, value] = match;
+    const event = { time: Number(time), type, target };
+    if (value !== undefined) event.value = value.replace(/^(["'])(.*)\1$/, '$2');
+    events.push(event);
+  });
+
+  return { events, errors };
+}